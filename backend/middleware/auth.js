@@ -3,91 +3,246 @@
  */
 
 const jwt = require('jsonwebtoken');
+const { createSession, getSessionMetadata, isSessionActive } = require('../services/sessions');
+const { getAccountRestriction } = require('../services/userManagement');
+const { getUserRoles, getPermissions } = require('../services/roles');
 
 const JWT_SECRET = process.env.JWT_SECRET;
+const TWO_FACTOR_CHALLENGE_PURPOSE = '2fa_challenge';
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
 
 /**
- * Middleware to verify JWT token
+ * Check a user may use their account
+ * @returns {Promise<{status: number, code: string, message: string}|null>}
+ *   An error response body with its status, or null if the account is usable
  */
-function requireAuth(req, res, next) {
+async function checkAccountAccess(pool, userId) {
+  const restriction = await getAccountRestriction(pool, userId);
+  if (!restriction) return null;
+
+  if (restriction.state === 'deleted') {
+    return { status: 403, code: 'account_deleted', message: 'This account has been deleted' };
+  }
+  return {
+    status: 403,
+    code: 'account_suspended',
+    message: 'This account has been suspended',
+    suspendedUntil: restriction.suspendedUntil,
+    reason: restriction.reason
+  };
+}
+
+/**
+ * Verify the bearer token on a request, check its session is still active
+ * and that the account isn't suspended or deleted
+ * @returns {Promise<{decoded: Object}|{status: number, message: string, code?: string}>}
+ */
+async function verifyRequestToken(pool, req) {
   const authHeader = req.headers['authorization'];
   const token = authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : null;
 
   if (!token) {
-    return res.status(401).json({ success: false, message: 'Authentication required' });
+    return { status: 401, message: 'Authentication required' };
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, JWT_SECRET);
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ success: false, message: 'Token expired' });
+      return { status: 401, message: 'Token expired' };
     }
-    return res.status(401).json({ success: false, message: 'Invalid token' });
+    return { status: 401, message: 'Invalid token' };
   }
+
+  // Tokens issued before sessions existed carry no session ID and cannot be revoked
+  const ipAddress = req.ip || req.connection?.remoteAddress || null;
+  if (!decoded.sid || !(await isSessionActive(pool, decoded.sid, decoded.userId, ipAddress))) {
+    return { status: 401, message: 'Session revoked' };
+  }
+
+  const blocked = await checkAccountAccess(pool, decoded.userId);
+  if (blocked) {
+    return blocked;
+  }
+
+  return { decoded };
 }
 
 /**
- * Middleware to verify admin access using JWT
+ * Middleware to verify JWT token
  * @param {Object} pool - Database connection pool
  */
-function createRequireAdmin(pool) {
-  return async function requireAdmin(req, res, next) {
+function createRequireAuth(pool) {
+  return async function requireAuth(req, res, next) {
     try {
-      // First verify JWT token
-      const authHeader = req.headers['authorization'];
-      const token = authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : null;
-
-      if (!token) {
-        return res.status(401).json({ success: false, message: 'Authentication required' });
+      const result = await verifyRequestToken(pool, req);
+      if (!result.decoded) {
+        const { status, ...body } = result;
+        return res.status(status).json({ success: false, ...body });
       }
 
-      let decoded;
-      try {
-        decoded = jwt.verify(token, JWT_SECRET);
-      } catch (error) {
-        if (error.name === 'TokenExpiredError') {
-          return res.status(401).json({ success: false, message: 'Token expired' });
-        }
-        return res.status(401).json({ success: false, message: 'Invalid token' });
-      }
+      req.user = result.decoded;
+      next();
+    } catch (error) {
+      console.error('Auth verification error:', error.message);
+      return res.status(500).json({ success: false, message: 'Server error' });
+    }
+  };
+}
 
-      // Verify user is still admin in database (in case privileges were revoked)
-      const result = await pool.query('SELECT is_admin FROM users WHERE id = $1', [decoded.userId]);
-      if (result.rows.length === 0 || !result.rows[0].is_admin) {
-        return res.status(403).json({ success: false, message: 'Admin access required' });
+/**
+ * Middleware that identifies the caller when a valid token is sent
+ * Sets req.user like requireAuth, but lets anonymous requests through.
+ * @param {Object} pool - Database connection pool
+ */
+function createOptionalAuth(pool) {
+  return async function optionalAuth(req, res, next) {
+    try {
+      const result = await verifyRequestToken(pool, req);
+      if (result.decoded) {
+        req.user = result.decoded;
       }
-
-      req.user = decoded;
-      req.adminId = decoded.userId;
       next();
     } catch (error) {
-      console.error('Admin verification error:', error.message);
+      console.error('Auth verification error:', error.message);
       return res.status(500).json({ success: false, message: 'Server error' });
     }
   };
 }
 
 /**
- * Generate JWT token for a user
+ * Build middleware requiring a permission from services/roles.js
+ * Usage: requirePermission('announcements:create')
+ * @param {Object} pool - Database connection pool
+ * @param {Object} [options]
+ * @param {boolean} [options.requireTwoFactor] - Refuse privileged users without 2FA enrolled
+ *   (defaults to true unless ADMIN_REQUIRE_2FA=false)
+ * @param {number} [options.gracePeriodDays] - How long a newly privileged user may go without
+ *   2FA (defaults to ADMIN_2FA_GRACE_DAYS, or 14); during it, responses carry
+ *   a Two-Factor-Required-By header with the deadline
  */
-function generateToken(user) {
-  const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+function createRequirePermission(pool, options = {}) {
+  const requireTwoFactor = options.requireTwoFactor ?? process.env.ADMIN_REQUIRE_2FA !== 'false';
+  const envGraceDays = parseInt(process.env.ADMIN_2FA_GRACE_DAYS, 10);
+  const gracePeriodDays = options.gracePeriodDays ?? (Number.isNaN(envGraceDays) ? 14 : envGraceDays);
+
+  return function requirePermission(permission) {
+    return async function checkPermission(req, res, next) {
+      try {
+        const verified = await verifyRequestToken(pool, req);
+        if (!verified.decoded) {
+          const { status, ...body } = verified;
+          return res.status(status).json({ success: false, ...body });
+        }
+        const decoded = verified.decoded;
+
+        // Roles are read from the database so revocations apply immediately
+        const roles = await getUserRoles(pool, decoded.userId);
+        const permissions = getPermissions(roles);
+        if (!permissions.includes(permission)) {
+          return res.status(403).json({
+            success: false,
+            code: 'permission_denied',
+            message: `Permission required: ${permission}`
+          });
+        }
+
+        if (requireTwoFactor) {
+          const result = await pool.query(
+            `SELECT totp_enabled, two_factor_grace_started_at + make_interval(days => $2) AS enroll_by,
+                    COALESCE(two_factor_grace_started_at + make_interval(days => $2) > NOW(), FALSE) AS in_grace
+             FROM users WHERE id = $1`,
+            [decoded.userId, gracePeriodDays]
+          );
+          const user = result.rows[0];
+          if (!user?.totp_enabled) {
+            if (!user?.in_grace) {
+              return res.status(403).json({
+                success: false,
+                code: 'two_factor_required',
+                message: 'Two-factor authentication must be enabled for admin actions'
+              });
+            }
+            res.setHeader('Two-Factor-Required-By', user.enroll_by.toISOString());
+          }
+        }
+
+        req.user = decoded;
+        req.adminId = decoded.userId;
+        req.roles = roles;
+        req.permissions = permissions;
+        next();
+      } catch (error) {
+        console.error('Permission verification error:', error.message);
+        return res.status(500).json({ success: false, message: 'Server error' });
+      }
+    };
+  };
+}
+
+/**
+ * Generate a short-lived JWT access token for a user session
+ */
+function generateToken(user, sessionId) {
+  const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
   return jwt.sign(
     {
       userId: user.id,
       username: user.username,
-      isAdmin: user.is_admin
+      isAdmin: user.is_admin,
+      sid: sessionId
     },
     JWT_SECRET,
     { expiresIn: JWT_EXPIRES_IN }
   );
 }
 
+/**
+ * Start a new session and issue an access/refresh token pair
+ * @param {Object} req - Login request, used to record device metadata
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+async function issueTokens(pool, user, req) {
+  const { sessionId, refreshToken } = await createSession(pool, user.id, getSessionMetadata(req));
+  return {
+    token: generateToken(user, sessionId),
+    refreshToken
+  };
+}
+
+/**
+ * Generate a short-lived token proving the first login factor succeeded
+ * It carries no session ID, so requireAuth never accepts it
+ */
+function generateTwoFactorChallenge(user) {
+  return jwt.sign(
+    { userId: user.id, purpose: TWO_FACTOR_CHALLENGE_PURPOSE },
+    JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN }
+  );
+}
+
+/**
+ * Verify a two-factor challenge token
+ * @returns {number|null} The user ID, or null if invalid or expired
+ */
+function verifyTwoFactorChallenge(challengeToken) {
+  try {
+    const decoded = jwt.verify(challengeToken, JWT_SECRET);
+    return decoded.purpose === TWO_FACTOR_CHALLENGE_PURPOSE ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+}
+
 module.exports = {
-  requireAuth,
-  createRequireAdmin,
-  generateToken
+  checkAccountAccess,
+  createRequireAuth,
+  createOptionalAuth,
+  createRequirePermission,
+  generateToken,
+  issueTokens,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge
 };
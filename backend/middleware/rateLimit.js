@@ -1,100 +1,334 @@
 /**
  * Rate limiting middleware
+ *
+ * Limits are named policies applied with rateLimitPolicy(name). Counters live
+ * in Postgres once initRateLimitStore(pool) has been called, so limits are
+ * shared across instances and survive restarts; the in-memory store is used
+ * before that, when RATE_LIMIT_STORE=memory, and whenever Postgres errors.
+ *
+ * Responses carry RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and
+ * RateLimit-Policy headers for the most restrictive policy applied.
  */
 
-// Security constants
-const RATE_LIMIT_MAX_IPS = 10000;
-const RATE_LIMIT_WINDOW = 60000; // 1 minute
-const RATE_LIMIT_MAX = 100; // max requests per window
-const AUTH_RATE_LIMIT_WINDOW = 900000; // 15 minutes
-const AUTH_RATE_LIMIT_MAX = 10; // max auth attempts per 15 minutes
+const { createMemoryStore, createPostgresStore } = require('../services/rateLimitStore');
+const { verifyTwoFactorChallenge } = require('./auth');
+const { parseRefreshToken } = require('../services/sessions');
+const { hashToken } = require('../utils/tokens');
 
-// In-memory stores
-const rateLimitMap = new Map();
-const authRateLimitMap = new Map();
+const CLEANUP_INTERVAL = 60000; // 1 minute
+const STORE_ERROR_LOG_INTERVAL = 60000; // Log store failures at most once a minute
 
-// Cleanup interval
-setInterval(() => {
-  const now = Date.now();
-  const windowStart = now - RATE_LIMIT_WINDOW;
-  for (const [ip, requests] of rateLimitMap.entries()) {
-    const validRequests = requests.filter(time => time > windowStart);
-    if (validRequests.length === 0) {
-      rateLimitMap.delete(ip);
-    } else {
-      rateLimitMap.set(ip, validRequests);
-    }
+/**
+ * Client IP address
+ */
+function byIp(req) {
+  return `ip:${req.ip || req.connection.remoteAddress}`;
+}
+
+/**
+ * Authenticated user, falling back to IP (must run after requireAuth to key by user)
+ */
+function byUser(req) {
+  return req.user ? `user:${req.user.userId}` : byIp(req);
+}
+
+/**
+ * Account identifier named in the request (hashed so emails aren't stored)
+ * Returns null when the request names no account, which skips the policy.
+ */
+function byAccountIdentifier(req) {
+  const identifier = req.body?.emailOrUsername || req.body?.email;
+  if (!identifier || typeof identifier !== 'string') return null;
+  return `account:${hashToken(identifier.trim().toLowerCase())}`;
+}
+
+/**
+ * Account identifier from one client IP, so other clients can't use up an
+ * account's attempts and lock its owner out
+ */
+function byAccountAndIp(req) {
+  const account = byAccountIdentifier(req);
+  return account ? `${account}:${byIp(req)}` : null;
+}
+
+/**
+ * Session named by the refresh token in the request, falling back to IP
+ * Only the session ID (the part before the '.') is used, never the secret.
+ */
+function byRefreshTokenSession(req) {
+  const parsed = parseRefreshToken(req.body?.refreshToken);
+  return parsed ? `session:${parsed.sessionId}` : byIp(req);
+}
+
+/**
+ * User completing or managing two-factor authentication
+ */
+function byTwoFactorUser(req) {
+  if (req.user) return `user:${req.user.userId}`;
+  const challengeToken = req.body?.challengeToken;
+  const userId = typeof challengeToken === 'string' ? verifyTwoFactorChallenge(challengeToken) : null;
+  return userId ? `user:${userId}` : null;
+}
+
+/**
+ * Named policies
+ * algorithm: 'sliding-window' (weighted current + previous window) or
+ *            'token-bucket' (burst of `limit`, refilling evenly over `windowMs`)
+ * failedOnly: token buckets only; requests answered with a status below 400
+ *             get their token back, so only failures count
+ */
+const POLICIES = {
+  global: {
+    algorithm: 'sliding-window',
+    limit: 100,
+    windowMs: 60000, // 1 minute
+    key: byIp,
+    message: 'Too many requests'
+  },
+  auth: {
+    algorithm: 'sliding-window',
+    limit: 10,
+    windowMs: 900000, // 15 minutes
+    key: byIp,
+    message: 'Too many authentication attempts. Please try again later.'
+  },
+  session: {
+    algorithm: 'sliding-window',
+    limit: 30, // Clients refresh about once per 15-minute access token
+    windowMs: 900000, // 15 minutes
+    key: byRefreshTokenSession,
+    message: 'Too many session requests. Please try again later.'
+  },
+  login: {
+    algorithm: 'token-bucket',
+    limit: 5,
+    windowMs: 900000, // 15 minutes
+    key: byAccountAndIp,
+    failedOnly: true,
+    message: 'Too many attempts for this account. Please try again later.'
+  },
+  passwordReset: {
+    algorithm: 'sliding-window',
+    limit: 3,
+    windowMs: 3600000, // 1 hour
+    key: byAccountIdentifier,
+    message: 'Too many password reset requests for this account. Please try again later.'
+  },
+  twoFactor: {
+    algorithm: 'token-bucket',
+    limit: 5,
+    windowMs: 900000, // 15 minutes
+    key: byTwoFactorUser,
+    message: 'Too many authentication codes tried. Please try again later.'
+  },
+  email: {
+    algorithm: 'sliding-window',
+    limit: 3,
+    windowMs: 3600000, // 1 hour
+    key: byUser,
+    message: 'Too many verification emails requested. Please try again later.'
   }
-  // Clean up auth rate limit map
-  const authWindowStart = now - AUTH_RATE_LIMIT_WINDOW;
-  for (const [ip, requests] of authRateLimitMap.entries()) {
-    const validRequests = requests.filter(time => time > authWindowStart);
-    if (validRequests.length === 0) {
-      authRateLimitMap.delete(ip);
-    } else {
-      authRateLimitMap.set(ip, validRequests);
+};
+
+const memoryStore = createMemoryStore();
+let store = memoryStore;
+let lastStoreErrorAt = 0;
+
+/**
+ * Use Postgres for rate limit counters unless RATE_LIMIT_STORE=memory
+ */
+function initRateLimitStore(pool) {
+  store = process.env.RATE_LIMIT_STORE === 'memory' ? memoryStore : createPostgresStore(pool);
+}
+
+/**
+ * Run a store operation, falling back to the in-memory store if it fails
+ */
+async function withFallback(operation) {
+  if (store === memoryStore) {
+    return operation(memoryStore);
+  }
+  try {
+    return await operation(store);
+  } catch (error) {
+    const now = Date.now();
+    if (now - lastStoreErrorAt > STORE_ERROR_LOG_INTERVAL) {
+      lastStoreErrorAt = now;
+      console.error('Rate limit store error, falling back to memory:', error.message);
     }
+    return operation(memoryStore);
   }
-}, RATE_LIMIT_WINDOW);
+}
 
 /**
- * General rate limiting middleware
+ * Count a request against a sliding window
+ * @returns {Promise<{allowed: boolean, remaining: number, resetMs: number, retryAfterMs: number}>}
  */
-function rateLimit(req, res, next) {
-  const ip = req.ip || req.connection.remoteAddress;
-  const now = Date.now();
-  const windowStart = now - RATE_LIMIT_WINDOW;
+async function consumeSlidingWindow(policy, key, now) {
+  const windowStart = Math.floor(now / policy.windowMs) * policy.windowMs;
+  const { count, previousCount } = await withFallback(s => s.incrementWindow(key, windowStart, policy.windowMs));
 
-  // Prevent memory exhaustion from too many unique IPs
-  if (rateLimitMap.size >= RATE_LIMIT_MAX_IPS && !rateLimitMap.has(ip)) {
-    return res.status(429).json({ success: false, message: 'Too many requests' });
-  }
+  const elapsed = now - windowStart;
+  const weighted = previousCount * ((policy.windowMs - elapsed) / policy.windowMs) + count;
+  const resetMs = policy.windowMs - elapsed;
 
-  if (!rateLimitMap.has(ip)) {
-    rateLimitMap.set(ip, []);
-  }
+  return {
+    allowed: weighted <= policy.limit,
+    remaining: Math.max(0, Math.floor(policy.limit - weighted)),
+    resetMs,
+    retryAfterMs: resetMs
+  };
+}
 
-  const requests = rateLimitMap.get(ip).filter(time => time > windowStart);
-  requests.push(now);
-  rateLimitMap.set(ip, requests);
+/**
+ * Take a token from a bucket (GCRA)
+ * @returns {Promise<{allowed: boolean, remaining: number, resetMs: number, retryAfterMs: number}>}
+ */
+async function consumeTokenBucket(policy, key, now) {
+  const intervalMs = policy.windowMs / policy.limit;
+  const { allowed, tat } = await withFallback(s => s.takeToken(key, now, intervalMs, policy.windowMs));
 
-  if (requests.length > RATE_LIMIT_MAX) {
-    return res.status(429).json({ success: false, message: 'Too many requests' });
-  }
+  const backlogMs = Math.max(0, tat - now);
+  return {
+    allowed,
+    remaining: Math.max(0, Math.floor((policy.windowMs - backlogMs) / intervalMs)),
+    resetMs: backlogMs,
+    retryAfterMs: Math.max(0, backlogMs + intervalMs - policy.windowMs)
+  };
+}
 
-  next();
+/**
+ * Give back a token taken from a bucket
+ */
+async function returnToken(policy, key) {
+  const intervalMs = policy.windowMs / policy.limit;
+  await withFallback(s => s.returnToken(key, intervalMs));
 }
 
 /**
- * Stricter rate limiting for authentication endpoints
+ * Set RateLimit-* headers unless a more restrictive policy already set them
  */
-function authRateLimit(req, res, next) {
-  const ip = req.ip || req.connection.remoteAddress;
-  const now = Date.now();
-  const windowStart = now - AUTH_RATE_LIMIT_WINDOW;
+function setRateLimitHeaders(res, name, policy, result) {
+  const current = res.locals.rateLimit;
+  if (current && current.remaining < result.remaining) return;
 
-  if (!authRateLimitMap.has(ip)) {
-    authRateLimitMap.set(ip, []);
+  res.locals.rateLimit = { policy: name, remaining: result.remaining };
+  res.setHeader('RateLimit-Limit', policy.limit);
+  res.setHeader('RateLimit-Remaining', result.remaining);
+  res.setHeader('RateLimit-Reset', Math.ceil(result.resetMs / 1000));
+  res.setHeader('RateLimit-Policy', `${policy.limit};w=${Math.ceil(policy.windowMs / 1000)}`);
+}
+
+/**
+ * Create middleware enforcing a named policy
+ */
+function rateLimitPolicy(name) {
+  const policy = POLICIES[name];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy: ${name}`);
+  }
+  if (policy.failedOnly && policy.algorithm !== 'token-bucket') {
+    throw new Error(`Rate limit policy ${name}: failedOnly needs a token bucket`);
   }
+  const consume = policy.algorithm === 'token-bucket' ? consumeTokenBucket : consumeSlidingWindow;
+
+  return async (req, res, next) => {
+    const subject = policy.key(req);
+    if (!subject) return next();
 
-  const requests = authRateLimitMap.get(ip).filter(time => time > windowStart);
-  requests.push(now);
-  authRateLimitMap.set(ip, requests);
-
-  if (requests.length > AUTH_RATE_LIMIT_MAX) {
-    const retryAfter = Math.ceil((AUTH_RATE_LIMIT_WINDOW - (now - requests[0])) / 1000);
-    res.setHeader('Retry-After', retryAfter);
-    return res.status(429).json({
-      success: false,
-      message: 'Too many authentication attempts. Please try again later.',
-      retryAfter: retryAfter
+    const key = `${name}:${subject}`;
+    let result;
+    try {
+      result = await consume(policy, key, Date.now());
+    } catch (error) {
+      // Never take the API down because limits can't be counted
+      console.error('Rate limit error:', error);
+      return next();
+    }
+
+    setRateLimitHeaders(res, name, policy, result);
+
+    if (!result.allowed) {
+      const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+      res.setHeader('Retry-After', retryAfter);
+      return res.status(429).json({
+        success: false,
+        message: policy.message,
+        retryAfter: retryAfter
+      });
+    }
+
+    if (policy.failedOnly) {
+      res.on('finish', () => {
+        if (res.statusCode < 400) {
+          returnToken(policy, key).catch(error => {
+            console.error('Rate limit error:', error);
+          });
+        }
+      });
+    }
+
+    next();
+  };
+}
+
+// Remove expired counters
+setInterval(() => {
+  const now = Date.now();
+  memoryStore.purgeExpired(now);
+  if (store !== memoryStore) {
+    store.purgeExpired(now).catch(error => {
+      console.error('Rate limit cleanup error:', error.message);
     });
   }
+}, CLEANUP_INTERVAL);
 
-  next();
-}
+/**
+ * General rate limiting middleware
+ */
+const rateLimit = rateLimitPolicy('global');
+
+/**
+ * Stricter rate limiting for authentication endpoints
+ */
+const authRateLimit = rateLimitPolicy('auth');
+
+/**
+ * Per-session limit on token refresh and logout, kept apart from authRateLimit
+ * so clients sharing an IP aren't signed out by each other's refreshes
+ */
+const sessionRateLimit = rateLimitPolicy('session');
+
+/**
+ * Per-account, per-IP limit on failed sign-in attempts
+ */
+const loginRateLimit = rateLimitPolicy('login');
+
+/**
+ * Per-account limit on password reset emails
+ */
+const passwordResetRateLimit = rateLimitPolicy('passwordReset');
+
+/**
+ * Per-user limit on two-factor codes (challenge token or authenticated user)
+ */
+const twoFactorRateLimit = rateLimitPolicy('twoFactor');
+
+/**
+ * Per-user rate limiting for sending verification emails
+ * Must run after requireAuth so req.user is set
+ */
+const emailRateLimit = rateLimitPolicy('email');
 
 module.exports = {
+  POLICIES,
+  initRateLimitStore,
+  rateLimitPolicy,
   rateLimit,
-  authRateLimit
+  authRateLimit,
+  sessionRateLimit,
+  loginRateLimit,
+  passwordResetRateLimit,
+  twoFactorRateLimit,
+  emailRateLimit
 };
@@ -0,0 +1,20 @@
+/**
+ * Request ID middleware
+ * Reuses a well-formed X-Request-Id from a proxy, otherwise generates one,
+ * and echoes it back so clients and logs can be correlated.
+ */
+
+const crypto = require('crypto');
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+function requestId(req, res, next) {
+  const incoming = req.headers['x-request-id'];
+  req.requestId = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.requestId);
+  next();
+}
+
+module.exports = { requestId };
@@ -0,0 +1,200 @@
+/**
+ * Baseline schema
+ *
+ * Everything the old boot-time initDb created. Written to be idempotent so it
+ * also applies cleanly to databases that initDb already set up.
+ * Irreversible: rolling back would drop every table.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        email TEXT UNIQUE,
+        username TEXT UNIQUE NOT NULL,
+        password TEXT,
+        twitter_handle TEXT,
+        twitter_id TEXT UNIQUE,
+        auth_provider TEXT DEFAULT 'email',
+        fcm_token TEXT,
+        is_approved BOOLEAN DEFAULT TRUE,
+        is_admin BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS announcements (
+        id SERIAL PRIMARY KEY,
+        message TEXT NOT NULL,
+        created_by INTEGER REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        starts_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP
+      )
+    `);
+
+    // Columns added to users and announcements after their first release
+    await client.query(`
+      ALTER TABLE announcements
+        ADD COLUMN IF NOT EXISTS starts_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS image_url TEXT
+    `);
+    await client.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS twitter_id TEXT,
+        ADD COLUMN IF NOT EXISTS auth_provider TEXT DEFAULT 'email',
+        ADD COLUMN IF NOT EXISTS github_id TEXT,
+        ADD COLUMN IF NOT EXISTS github_handle TEXT,
+        ADD COLUMN IF NOT EXISTS is_current_beacon BOOLEAN DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS email_verified BOOLEAN DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+        ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT
+    `);
+
+    // Unique in a separate step: ADD COLUMN IF NOT EXISTS ... UNIQUE can add
+    // the constraint even when the column is skipped. The names match the
+    // constraints initDb created, so existing databases aren't given a second one.
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS users_twitter_id_key ON users (twitter_id)');
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS users_github_id_key ON users (github_id)');
+
+    // OAuth users may have no email or password
+    await client.query('ALTER TABLE users ALTER COLUMN email DROP NOT NULL');
+    await client.query('ALTER TABLE users ALTER COLUMN password DROP NOT NULL');
+
+    // One row per refresh token family
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        refresh_token_hash TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP,
+        revoked_reason TEXT,
+        device_name TEXT,
+        platform TEXT,
+        ip_address TEXT,
+        user_agent TEXT
+      )
+    `);
+    await client.query(`
+      ALTER TABLE sessions
+        ADD COLUMN IF NOT EXISTS device_name TEXT,
+        ADD COLUMN IF NOT EXISTS platform TEXT,
+        ADD COLUMN IF NOT EXISTS ip_address TEXT,
+        ADD COLUMN IF NOT EXISTS user_agent TEXT
+    `);
+
+    // Only token hashes are stored
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash TEXT UNIQUE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        requested_ip TEXT
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS email_verification_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token_hash TEXT UNIQUE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP
+      )
+    `);
+
+    // Admin-configurable key/value settings
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS app_settings (
+        key TEXT PRIMARY KEY,
+        value JSONB NOT NULL,
+        updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Two-factor recovery codes (only code hashes are stored)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_recovery_codes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        code_hash TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        used_at TIMESTAMP
+      )
+    `);
+
+    // Linked login identities (replaces users.twitter_id/github_id)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_identities (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        provider TEXT NOT NULL,
+        provider_user_id TEXT NOT NULL,
+        handle TEXT,
+        email TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP,
+        UNIQUE (provider, provider_user_id),
+        UNIQUE (user_id, provider)
+      )
+    `);
+
+    // PKCE verifiers for in-flight OAuth logins
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS oauth_states (
+        state TEXT PRIMARY KEY,
+        provider TEXT NOT NULL,
+        code_verifier TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL
+      )
+    `);
+
+    // Rate limit counters (times are epoch milliseconds)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS rate_limit_windows (
+        key TEXT PRIMARY KEY,
+        window_start BIGINT NOT NULL,
+        count INTEGER NOT NULL,
+        previous_count INTEGER NOT NULL DEFAULT 0,
+        expires_at BIGINT NOT NULL
+      )
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+        key TEXT PRIMARY KEY,
+        tat BIGINT NOT NULL
+      )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_users_email ON users (email)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_users_username ON users (username)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_users_twitter_id ON users (twitter_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_users_github_id ON users (github_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_users_is_current_beacon ON users (is_current_beacon)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_announcements_created_at ON announcements (created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_announcements_starts_at ON announcements (starts_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_announcements_expires_at ON announcements (expires_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions (user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens (user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user_id ON email_verification_tokens (user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id ON user_recovery_codes (user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_oauth_states_expires_at ON oauth_states (expires_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_rate_limit_windows_expires_at ON rate_limit_windows (expires_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_rate_limit_buckets_tat ON rate_limit_buckets (tat)');
+  }
+};
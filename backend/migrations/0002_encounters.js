@@ -0,0 +1,31 @@
+/**
+ * Proximity encounters ledger
+ *
+ * One row per run of sightings of a beacon by an observer; repeat sightings
+ * within the dedupe window extend the row instead of adding new ones.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE encounters (
+        id SERIAL PRIMARY KEY,
+        observer_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        beacon_id TEXT NOT NULL,
+        observed_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        first_seen_at TIMESTAMP NOT NULL,
+        last_seen_at TIMESTAMP NOT NULL,
+        sighting_count INTEGER NOT NULL DEFAULT 1,
+        last_rssi INTEGER NOT NULL,
+        max_rssi INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('CREATE INDEX idx_encounters_observer_beacon ON encounters (observer_id, beacon_id, last_seen_at)');
+    await client.query('CREATE INDEX idx_encounters_observed_user_id ON encounters (observed_user_id)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE encounters');
+  }
+};
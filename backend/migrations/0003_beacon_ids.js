@@ -0,0 +1,43 @@
+/**
+ * Rotating ephemeral beacon IDs
+ *
+ * Encounters are now attributed through verified beacon IDs, which change
+ * every few minutes, so repeat sightings are deduplicated per observed user
+ * rather than per beacon ID.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE beacon_ids (
+        nonce TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        valid_from TIMESTAMP NOT NULL,
+        valid_until TIMESTAMP NOT NULL
+      )
+    `);
+    await client.query('CREATE INDEX idx_beacon_ids_user_id ON beacon_ids (user_id, valid_until)');
+    await client.query('CREATE INDEX idx_beacon_ids_valid_until ON beacon_ids (valid_until)');
+
+    // Sightings that couldn't be attributed to a user can't unlock anyone;
+    // they're archived rather than deleted so rolling back restores them
+    await client.query(
+      'CREATE TABLE unattributed_encounters AS SELECT * FROM encounters WHERE observed_user_id IS NULL'
+    );
+    await client.query('DELETE FROM encounters WHERE observed_user_id IS NULL');
+    await client.query('DROP INDEX idx_encounters_observer_beacon');
+    await client.query('CREATE INDEX idx_encounters_observer_observed ON encounters (observer_id, observed_user_id, last_seen_at)');
+  },
+
+  async down(client) {
+    await client.query('DROP INDEX idx_encounters_observer_observed');
+    await client.query('CREATE INDEX idx_encounters_observer_beacon ON encounters (observer_id, beacon_id, last_seen_at)');
+    await client.query(`
+      INSERT INTO encounters
+      SELECT * FROM unattributed_encounters
+      WHERE observer_id IN (SELECT id FROM users)
+    `);
+    await client.query('DROP TABLE unattributed_encounters');
+    await client.query('DROP TABLE beacon_ids');
+  }
+};
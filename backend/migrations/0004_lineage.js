@@ -0,0 +1,46 @@
+/**
+ * Unlock lineage
+ *
+ * users.sponsor_id is the user whose beacon unlocked them; unlocked_at is
+ * when they first unlocked. Backfilled from existing encounters in unlock
+ * order, skipping any sponsor that would create a cycle.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE users
+        ADD COLUMN sponsor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        ADD COLUMN unlocked_at TIMESTAMP
+    `);
+    await client.query('CREATE INDEX idx_users_sponsor_id ON users (sponsor_id)');
+
+    const firstUnlocks = await client.query(`
+      SELECT DISTINCT ON (observer_id) observer_id, observed_user_id, first_seen_at
+      FROM encounters
+      WHERE observed_user_id IS NOT NULL
+      ORDER BY observer_id, first_seen_at, id
+    `);
+    const ordered = firstUnlocks.rows.sort((a, b) => a.first_seen_at - b.first_seen_at);
+
+    for (const unlock of ordered) {
+      const cycle = await client.query(
+        `WITH RECURSIVE ancestors AS (
+           SELECT id, sponsor_id FROM users WHERE id = $1
+           UNION
+           SELECT u.id, u.sponsor_id FROM users u JOIN ancestors a ON u.id = a.sponsor_id
+         )
+         SELECT 1 FROM ancestors WHERE id = $2`,
+        [unlock.observed_user_id, unlock.observer_id]
+      );
+      await client.query(
+        'UPDATE users SET sponsor_id = $2, unlocked_at = $3 WHERE id = $1',
+        [unlock.observer_id, cycle.rows.length === 0 ? unlock.observed_user_id : null, unlock.first_seen_at]
+      );
+    }
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE users DROP COLUMN sponsor_id, DROP COLUMN unlocked_at');
+  }
+};
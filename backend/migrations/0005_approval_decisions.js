@@ -0,0 +1,30 @@
+/**
+ * Approval decisions
+ *
+ * is_approved stays the source of truth for access. A user who is not
+ * approved is pending unless rejected_at is set.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE users
+        ADD COLUMN rejected_at TIMESTAMP,
+        ADD COLUMN rejection_reason TEXT,
+        ADD COLUMN approval_decided_at TIMESTAMP,
+        ADD COLUMN approval_decided_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+    `);
+    await client.query('CREATE INDEX idx_users_created_at ON users (created_at)');
+  },
+
+  async down(client) {
+    await client.query('DROP INDEX idx_users_created_at');
+    await client.query(`
+      ALTER TABLE users
+        DROP COLUMN rejected_at,
+        DROP COLUMN rejection_reason,
+        DROP COLUMN approval_decided_at,
+        DROP COLUMN approval_decided_by
+    `);
+  }
+};
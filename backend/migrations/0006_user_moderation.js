@@ -0,0 +1,33 @@
+/**
+ * User suspension and soft deletion
+ *
+ * A user is suspended while suspended_at is set and suspended_until is
+ * NULL (indefinite) or in the future. Deleted users keep their row so
+ * encounters and lineage stay intact.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE users
+        ADD COLUMN suspended_at TIMESTAMP,
+        ADD COLUMN suspended_until TIMESTAMP,
+        ADD COLUMN suspension_reason TEXT,
+        ADD COLUMN suspended_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        ADD COLUMN deleted_at TIMESTAMP,
+        ADD COLUMN deleted_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE users
+        DROP COLUMN suspended_at,
+        DROP COLUMN suspended_until,
+        DROP COLUMN suspension_reason,
+        DROP COLUMN suspended_by,
+        DROP COLUMN deleted_at,
+        DROP COLUMN deleted_by
+    `);
+  }
+};
@@ -0,0 +1,33 @@
+/**
+ * Role-based permissions
+ *
+ * Privileges now come from user_roles (see services/roles.js). The earliest
+ * existing admin becomes the owner and the rest become admins. users.is_admin
+ * is kept in step with the owner and admin roles.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE user_roles (
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        role TEXT NOT NULL CHECK (role IN ('owner', 'admin', 'moderator', 'announcer', 'beacon-keeper')),
+        granted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, role)
+      )
+    `);
+    await client.query('CREATE INDEX idx_user_roles_role ON user_roles (role)');
+
+    await client.query(`
+      INSERT INTO user_roles (user_id, role)
+      SELECT id, CASE WHEN id = MIN(id) OVER () THEN 'owner' ELSE 'admin' END
+      FROM users
+      WHERE is_admin = TRUE
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE user_roles');
+  }
+};
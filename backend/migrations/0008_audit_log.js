@@ -0,0 +1,54 @@
+/**
+ * Admin audit log
+ *
+ * Append-only: a trigger rejects UPDATE, DELETE and TRUNCATE. actor_id has
+ * no foreign key so entries survive even if a user row is hard-deleted;
+ * actor_username keeps a snapshot for readability.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        actor_id INTEGER,
+        actor_username TEXT,
+        action TEXT NOT NULL,
+        target_type TEXT,
+        target_id TEXT,
+        before JSONB,
+        after JSONB,
+        ip_address TEXT,
+        request_id TEXT
+      )
+    `);
+    await client.query('CREATE INDEX idx_audit_log_created_at ON audit_log (created_at)');
+    await client.query('CREATE INDEX idx_audit_log_action ON audit_log (action, id)');
+    await client.query('CREATE INDEX idx_audit_log_actor ON audit_log (actor_id, id)');
+    await client.query('CREATE INDEX idx_audit_log_target ON audit_log (target_type, target_id, id)');
+
+    await client.query(`
+      CREATE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'audit_log is append-only';
+      END;
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query(`
+      CREATE TRIGGER audit_log_no_update_delete
+      BEFORE UPDATE OR DELETE ON audit_log
+      FOR EACH ROW EXECUTE FUNCTION audit_log_append_only()
+    `);
+    await client.query(`
+      CREATE TRIGGER audit_log_no_truncate
+      BEFORE TRUNCATE ON audit_log
+      FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only()
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE audit_log');
+    await client.query('DROP FUNCTION audit_log_append_only()');
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * Concurrent announcements
+ *
+ * Announcements are no longer replaced on create. Pinned announcements sort
+ * first, then higher priority, then most recently started.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE announcements
+        ADD COLUMN pinned BOOLEAN NOT NULL DEFAULT FALSE,
+        ADD COLUMN priority INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN updated_at TIMESTAMP,
+        ADD COLUMN updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+    `);
+    await client.query(
+      'CREATE INDEX idx_announcements_display_order ON announcements (pinned DESC, priority DESC, starts_at DESC)'
+    );
+  },
+
+  async down(client) {
+    await client.query('DROP INDEX idx_announcements_display_order');
+    await client.query(`
+      ALTER TABLE announcements
+        DROP COLUMN pinned,
+        DROP COLUMN priority,
+        DROP COLUMN updated_at,
+        DROP COLUMN updated_by
+    `);
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * Persistent job queue
+ *
+ * Jobs run at or after run_at and are claimed with FOR UPDATE SKIP LOCKED,
+ * so each runs on one instance only. A job's key identifies what it's for
+ * (e.g. one announcement's push); at most one pending job may hold a key,
+ * which lets it be rescheduled or cancelled.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE scheduled_jobs (
+        id BIGSERIAL PRIMARY KEY,
+        type TEXT NOT NULL,
+        key TEXT,
+        payload JSONB NOT NULL DEFAULT '{}',
+        run_at TIMESTAMP NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        locked_at TIMESTAMP,
+        locked_by TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP
+      )
+    `);
+    await client.query(`CREATE INDEX idx_scheduled_jobs_due ON scheduled_jobs (run_at) WHERE status = 'pending'`);
+    await client.query(`CREATE INDEX idx_scheduled_jobs_running ON scheduled_jobs (locked_at) WHERE status = 'running'`);
+    await client.query(`CREATE UNIQUE INDEX idx_scheduled_jobs_pending_key ON scheduled_jobs (key) WHERE status = 'pending'`);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE scheduled_jobs');
+  }
+};
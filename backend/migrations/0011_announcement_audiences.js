@@ -0,0 +1,37 @@
+/**
+ * Announcement audiences
+ *
+ * Existing announcements keep going to everyone. An explicit user list is
+ * kept in announcement_recipients; the other audiences are evaluated when
+ * the announcement is listed or pushed.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE announcements
+        ADD COLUMN audience_type TEXT NOT NULL DEFAULT 'all'
+          CHECK (audience_type IN ('all', 'admins', 'approved_after', 'met_user', 'users')),
+        ADD COLUMN audience_approved_after TIMESTAMP,
+        ADD COLUMN audience_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL
+    `);
+    await client.query(`
+      CREATE TABLE announcement_recipients (
+        announcement_id INTEGER NOT NULL REFERENCES announcements(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        PRIMARY KEY (announcement_id, user_id)
+      )
+    `);
+    await client.query('CREATE INDEX idx_announcement_recipients_user_id ON announcement_recipients (user_id)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE announcement_recipients');
+    await client.query(`
+      ALTER TABLE announcements
+        DROP COLUMN audience_type,
+        DROP COLUMN audience_approved_after,
+        DROP COLUMN audience_user_id
+    `);
+  }
+};
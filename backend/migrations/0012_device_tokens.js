@@ -0,0 +1,44 @@
+/**
+ * Device token registry
+ *
+ * Replaces the single users.fcm_token with one row per device, so a user
+ * gets pushes on every device they're signed in on. A token belongs to the
+ * user who registered it most recently.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE device_tokens (
+        token TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        platform TEXT,
+        app_version TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('CREATE INDEX idx_device_tokens_user_id ON device_tokens (user_id)');
+
+    await client.query(`
+      INSERT INTO device_tokens (token, user_id)
+      SELECT DISTINCT ON (fcm_token) fcm_token, id FROM users
+      WHERE fcm_token IS NOT NULL AND deleted_at IS NULL
+      ORDER BY fcm_token, id DESC
+    `);
+    await client.query('ALTER TABLE users DROP COLUMN fcm_token');
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE users ADD COLUMN fcm_token TEXT');
+    await client.query(`
+      UPDATE users SET fcm_token = latest.token
+      FROM (
+        SELECT DISTINCT ON (user_id) user_id, token FROM device_tokens
+        ORDER BY user_id, last_seen_at DESC
+      ) latest
+      WHERE users.id = latest.user_id
+    `);
+    await client.query('DROP TABLE device_tokens');
+  }
+};
@@ -0,0 +1,46 @@
+/**
+ * Push notification outbox
+ *
+ * Every push is written here before it's sent, then updated with the
+ * outcome. One row per device or topic. dedupe_key stops a retried caller
+ * from queueing the same push twice.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE push_notifications (
+        id BIGSERIAL PRIMARY KEY,
+        target_type TEXT NOT NULL CHECK (target_type IN ('topic', 'token')),
+        target TEXT NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        title TEXT NOT NULL,
+        body TEXT NOT NULL,
+        data JSONB NOT NULL DEFAULT '{}',
+        source TEXT,
+        dedupe_key TEXT UNIQUE,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        locked_at TIMESTAMP,
+        last_status_code INTEGER,
+        last_error TEXT,
+        fcm_message_id TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        sent_at TIMESTAMP,
+        failed_at TIMESTAMP
+      )
+    `);
+    await client.query(
+      "CREATE INDEX idx_push_notifications_due ON push_notifications (next_attempt_at) WHERE status = 'pending'"
+    );
+    await client.query(
+      "CREATE INDEX idx_push_notifications_sending ON push_notifications (locked_at) WHERE status = 'sending'"
+    );
+    await client.query('CREATE INDEX idx_push_notifications_status ON push_notifications (status, id)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE push_notifications');
+  }
+};
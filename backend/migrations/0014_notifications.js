@@ -0,0 +1,33 @@
+/**
+ * In-app notification inbox
+ *
+ * One row per user per event, shown in the app's notifications area and
+ * marked read there. dedupe_key stops the same event from being recorded
+ * twice (e.g. when a job is retried).
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE notifications (
+        id BIGSERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        type TEXT NOT NULL,
+        title TEXT NOT NULL,
+        body TEXT NOT NULL,
+        data JSONB NOT NULL DEFAULT '{}',
+        dedupe_key TEXT UNIQUE,
+        read_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await client.query('CREATE INDEX idx_notifications_user_id ON notifications (user_id, id)');
+    await client.query(
+      'CREATE INDEX idx_notifications_unread ON notifications (user_id, id) WHERE read_at IS NULL'
+    );
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE notifications');
+  }
+};
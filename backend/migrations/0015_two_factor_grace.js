@@ -0,0 +1,22 @@
+/**
+ * Grace period for enrolling in two-factor authentication
+ *
+ * Privileged users without 2FA may keep using admin routes for
+ * ADMIN_2FA_GRACE_DAYS after two_factor_grace_started_at. Everyone who
+ * already holds a role starts their grace period now, so deploying the
+ * requirement doesn't lock existing admins out.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query('ALTER TABLE users ADD COLUMN two_factor_grace_started_at TIMESTAMP');
+    await client.query(`
+      UPDATE users SET two_factor_grace_started_at = CURRENT_TIMESTAMP
+      WHERE id IN (SELECT user_id FROM user_roles)
+    `);
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE users DROP COLUMN two_factor_grace_started_at');
+  }
+};
@@ -0,0 +1,17 @@
+/**
+ * Device token types
+ *
+ * Records which push service issued each device token ('fcm' or 'apns'),
+ * since the device's platform doesn't say: the app registers FCM tokens on
+ * iOS too. Every token registered so far came from FCM.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query("ALTER TABLE device_tokens ADD COLUMN token_type TEXT NOT NULL DEFAULT 'fcm'");
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE device_tokens DROP COLUMN token_type');
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Beacon ID observers
+ *
+ * Records which users have reported each beacon ID, so one captured ID can
+ * only be used by a limited number of observers. Rows go with their ID.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE beacon_id_observers (
+        nonce TEXT NOT NULL REFERENCES beacon_ids(nonce) ON DELETE CASCADE,
+        observer_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        first_seen_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (nonce, observer_id)
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE beacon_id_observers');
+  }
+};
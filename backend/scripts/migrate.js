@@ -0,0 +1,78 @@
+/**
+ * Schema migration CLI
+ *
+ * Usage:
+ *   npm run migrate                  Apply pending migrations
+ *   npm run migrate:status           List applied and pending migrations
+ *   npm run migrate:down [-- steps]  Roll back the last migration (or last `steps`)
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const { getMigrationStatus, migrateUp, migrateDown } = require('../utils/migrations');
+
+/**
+ * Print applied and pending migrations
+ * @returns {boolean} Whether the history matches the files on disk
+ */
+async function printStatus(pool) {
+  const status = await getMigrationStatus(pool);
+  const changed = new Set(status.changed.map(migration => migration.version));
+
+  for (const migration of status.applied) {
+    const note = changed.has(migration.version) ? '  (MODIFIED since applied)' : '';
+    console.log(`  applied  ${migration.name}  ${migration.appliedAt.toISOString()}${note}`);
+  }
+  for (const migration of status.pending) {
+    console.log(`  pending  ${migration.name}`);
+  }
+  for (const row of status.missing) {
+    console.log(`  missing  ${row.name}  (applied, but the file is gone)`);
+  }
+  console.log(`${status.applied.length} applied, ${status.pending.length} pending`);
+
+  return status.changed.length === 0 && status.missing.length === 0;
+}
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL is required');
+  }
+
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: {
+      rejectUnauthorized: true  // Security: Validate SSL certificates
+    },
+    max: 2
+  });
+
+  try {
+    if (command === 'up') {
+      const applied = await migrateUp(pool);
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Nothing to migrate');
+    } else if (command === 'status') {
+      if (!(await printStatus(pool))) {
+        process.exitCode = 1;
+      }
+    } else if (command === 'down') {
+      const steps = arg === undefined ? 1 : Number(arg);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('Steps must be a positive integer');
+      }
+      const rolledBack = await migrateDown(pool, { steps });
+      console.log(rolledBack.length > 0 ? `Rolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+    } else {
+      throw new Error(`Unknown command "${command}" (expected up, status or down)`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(error => {
+  console.error('Migration error:', error.message);
+  process.exit(1);
+});
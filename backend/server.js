@@ -2,25 +2,141 @@ require('dotenv').config();
 const express = require('express');
 const { Pool } = require('pg');
 const bcrypt = require('bcryptjs');
-const cors = require('cors');
 const crypto = require('crypto');
-const axios = require('axios');
+const cors = require('cors');
 
 // Import modular utilities and middleware
 const { isValidEmail, isValidUsername, isValidPassword, sanitizeInt, escapeHtml } = require('./utils/validation');
-const { initDb } = require('./utils/database');
-const { sendPushToTopic } = require('./services/fcm');
+const { prepareDatabase } = require('./utils/migrations');
+const { withTransaction } = require('./utils/database');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('./services/mail');
+const {
+  PASSWORD_RESET_TTL_MINUTES,
+  createPasswordResetToken,
+  consumePasswordResetToken
+} = require('./services/passwordReset');
+const {
+  EMAIL_VERIFICATION_TTL_HOURS,
+  createEmailVerificationToken,
+  consumeEmailVerificationToken
+} = require('./services/emailVerification');
+const { APP_CALLBACK_URL, PROVIDERS, getProvider, isProviderConfigured } = require('./services/oauthProviders');
+const { listIdentities, removeIdentity, backfillLegacyIdentities } = require('./services/identities');
+const { createOAuthState, consumeOAuthState, purgeExpiredOAuthStates } = require('./services/oauthState');
+const { buildAuthorizeUrl, exchangeCodeForToken, fetchProfile, findOrCreateUser, linkIdentity } = require('./services/oauth');
+const { getSetting, getAllSettings, validateSettingsUpdate, updateSettings } = require('./services/settings');
+const { parseSighting, recordSighting, listEncounters, getUnlockState } = require('./services/encounters');
+const { getSponsorChain, getSponsoredUsers, getLineageGraph, toDot } = require('./services/lineage');
+const {
+  MAX_BULK_DECISIONS,
+  isApprovedOnSignup,
+  isApprovedOnEmailVerification,
+  getApprovalStatus,
+  listApprovalQueue,
+  validateRejectionReason,
+  decideApprovals
+} = require('./services/approvals');
+const {
+  USER_STATUSES,
+  listUsers,
+  parseSuspension,
+  suspendUser,
+  unsuspendUser,
+  softDeleteUser,
+  getManagedUser
+} = require('./services/userManagement');
+const {
+  ROLES,
+  ADMIN_ROLES,
+  ROLE_PERMISSIONS,
+  getUserRoles,
+  getPermissions,
+  getPermissionToManage,
+  grantRole,
+  revokeRoles
+} = require('./services/roles');
+const { recordAudit, listAuditEntries, toCsv: auditToCsv } = require('./services/audit');
+const {
+  ANNOUNCEMENT_STATUSES,
+  PUSH_JOB_TYPE,
+  parseAnnouncementInput,
+  createAnnouncement,
+  updateAnnouncement,
+  deleteAnnouncement,
+  listActiveAnnouncements,
+  listAnnouncementArchive,
+  queueAnnouncementPush
+} = require('./services/announcements');
+const { createJobRunner } = require('./services/jobs');
+const { parseDeviceRegistration, registerDeviceToken, unregisterDeviceToken } = require('./services/deviceTokens');
+const {
+  PUSH_STATUSES,
+  createPushWorker,
+  listPushNotifications,
+  retryPushNotification
+} = require('./services/pushOutbox');
+const { checkPushConfig, getPushStatus, closePush } = require('./services/push');
+const {
+  createNotification,
+  listNotifications,
+  countUnreadNotifications,
+  markNotificationsRead,
+  markAllNotificationsRead
+} = require('./services/notifications');
+const {
+  BEACON_ID_TTL_SECONDS,
+  getCurrentBeaconId,
+  resolveBeaconId,
+  revokeAllBeaconIds,
+  purgeExpiredBeaconIds
+} = require('./services/beaconIds');
+const {
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disableTwoFactor,
+  countRemainingRecoveryCodes
+} = require('./services/twoFactor');
 const { securityHeaders } = require('./middleware/security');
-const { rateLimit, authRateLimit } = require('./middleware/rateLimit');
-const { generateToken, requireAuth, createRequireAdmin } = require('./middleware/auth');
+const { requestId } = require('./middleware/requestId');
+const {
+  initRateLimitStore,
+  rateLimit,
+  authRateLimit,
+  sessionRateLimit,
+  loginRateLimit,
+  passwordResetRateLimit,
+  twoFactorRateLimit,
+  emailRateLimit
+} = require('./middleware/rateLimit');
+const {
+  generateToken,
+  issueTokens,
+  checkAccountAccess,
+  createRequireAuth,
+  createOptionalAuth,
+  createRequirePermission,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} = require('./middleware/auth');
+const {
+  getSessionMetadata,
+  rotateRefreshToken,
+  revokeSessionByRefreshToken,
+  listUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions
+} = require('./services/sessions');
 
 const app = express();
 
 // Security constants
 const BCRYPT_ROUNDS = 12;
 
-// Create admin middleware with database pool access (initialized after pool creation)
-let requireAdmin;
+// Create auth middleware with database pool access (initialized after pool creation)
+let requireAuth;
+let optionalAuth;
+let requirePermission;
 
 // Validate required environment variables at startup
 function validateEnv() {
@@ -43,39 +159,11 @@ if (!process.env.JWT_SECRET) {
   process.exit(1);
 }
 
-// Twitter OAuth Configuration
-const TWITTER_CLIENT_ID = process.env.TWITTER_CLIENT_ID;
-const TWITTER_CLIENT_SECRET = process.env.TWITTER_CLIENT_SECRET;
-const TWITTER_CALLBACK_URL = 'karass://callback';
-
-// GitHub OAuth Configuration
-const GITHUB_CLIENT_ID = process.env.GITHUB_CLIENT_ID;
-const GITHUB_CLIENT_SECRET = process.env.GITHUB_CLIENT_SECRET;
-// GitHub requires HTTP/HTTPS callback URL (not custom schemes)
-// Use GITHUB_REDIRECT_URL env var for production, or auto-detect for local dev
-const GITHUB_REDIRECT_BASE = process.env.GITHUB_REDIRECT_URL || `http://localhost:${process.env.PORT || 3000}`;
-const GITHUB_CALLBACK_URL = `${GITHUB_REDIRECT_BASE}/api/auth/github/web-callback`;
-
-// In-memory store for PKCE verifiers (use Redis in production)
-const pkceStore = new Map();
-const PKCE_TTL = 10 * 60 * 1000; // 10 minutes
-const PKCE_MAX_ENTRIES = 1000; // Maximum concurrent OAuth flows
-
-// Clean up expired PKCE entries and enforce max size
-setInterval(() => {
-  const now = Date.now();
-  for (const [state, data] of pkceStore.entries()) {
-    if (now - data.createdAt > PKCE_TTL) {
-      pkceStore.delete(state);
-    }
-  }
-  // If still over limit after cleanup, remove oldest entries
-  if (pkceStore.size > PKCE_MAX_ENTRIES) {
-    const entries = [...pkceStore.entries()].sort((a, b) => a[1].createdAt - b[1].createdAt);
-    const toRemove = entries.slice(0, pkceStore.size - PKCE_MAX_ENTRIES);
-    toRemove.forEach(([state]) => pkceStore.delete(state));
-  }
-}, 60000); // Clean every minute
+// Public base URL of this API, used in links sent by email
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+// Password reset links open the app via its custom URL scheme unless overridden
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL || 'karass://reset-password';
 
 // Security: Restrict CORS to specific origins (configure for production)
 const allowedOrigins = process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000', 'http://10.0.2.2:3000'];
@@ -96,6 +184,9 @@ app.use(cors({
 // Security headers middleware (from module)
 app.use(securityHeaders);
 
+// Tag each request with an ID (used by the audit log)
+app.use(requestId);
+
 // Security: Limit request body size to prevent DoS
 app.use(express.json({ limit: '10kb' }));
 
@@ -121,8 +212,87 @@ pool.on('error', (err) => {
   console.error('Unexpected database pool error:', err.message);
 });
 
-// Initialize admin middleware with database pool
-requireAdmin = createRequireAdmin(pool);
+// Initialize auth middleware with database pool
+requireAuth = createRequireAuth(pool);
+optionalAuth = createOptionalAuth(pool);
+requirePermission = createRequirePermission(pool);
+
+// Deliver queued push notifications
+const pushWorker = createPushWorker(pool);
+
+// Run scheduled jobs (e.g. announcement pushes due at startsAt)
+const jobRunner = createJobRunner(pool, {
+  [PUSH_JOB_TYPE]: async (payload) => {
+    if (await queueAnnouncementPush(pool, payload) > 0) {
+      pushWorker.wake();
+    }
+  }
+});
+
+// Share rate limit counters across instances
+initRateLimitStore(pool);
+
+// Clean up expired OAuth states and beacon IDs every minute
+setInterval(() => {
+  purgeExpiredOAuthStates(pool).catch(error => {
+    console.error('OAuth state cleanup error:', error.message);
+  });
+  purgeExpiredBeaconIds(pool).catch(error => {
+    console.error('Beacon ID cleanup error:', error.message);
+  });
+}, 60000);
+
+/**
+ * Email a fresh verification link to a user
+ */
+async function sendVerificationLink(user) {
+  const token = await createEmailVerificationToken(pool, user.id);
+  const verifyUrl = `${PUBLIC_BASE_URL}/api/auth/email/verify?token=${encodeURIComponent(token)}`;
+  return sendVerificationEmail(user.email, {
+    username: user.username,
+    verifyUrl,
+    expiresInHours: EMAIL_VERIFICATION_TTL_HOURS
+  });
+}
+
+/**
+ * Email a password reset link to a user
+ */
+async function sendPasswordResetLink(user, ip) {
+  const token = await createPasswordResetToken(pool, user.id, ip);
+  const resetUrl = `${PASSWORD_RESET_URL}?token=${encodeURIComponent(token)}`;
+  return sendPasswordResetEmail(user.email, {
+    username: user.username,
+    resetUrl,
+    expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+  });
+}
+
+/**
+ * Refuse to sign in suspended or deleted users
+ * @returns {Promise<boolean>} Whether a refusal was sent
+ */
+async function rejectRestrictedAccount(res, userId) {
+  const blocked = await checkAccountAccess(pool, userId);
+  if (!blocked) return false;
+
+  const { status, ...body } = blocked;
+  res.status(status).json({ success: false, ...body });
+  return true;
+}
+
+/**
+ * Respond with a two-factor challenge instead of tokens
+ * The client completes the login at /api/auth/2fa/login
+ */
+function sendTwoFactorChallenge(res, user) {
+  return res.json({
+    success: true,
+    message: 'Two-factor authentication code required',
+    twoFactorRequired: true,
+    challengeToken: generateTwoFactorChallenge(user)
+  });
+}
 
 // Create Account
 app.post('/api/auth/register', authRateLimit, async (req, res) => {
@@ -164,30 +334,46 @@ app.post('/api/auth/register', authRateLimit, async (req, res) => {
     const adminEmails = process.env.ADMIN_EMAILS ? process.env.ADMIN_EMAILS.toLowerCase().split(',') : [];
     const isAdmin = adminEmails.includes(email.toLowerCase());
 
-    // Create user (auto-approved)
-    const result = await pool.query(
-      `INSERT INTO users (email, username, password, twitter_handle, is_approved, is_admin)
-       VALUES (LOWER($1), $2, $3, $4, TRUE, $5)
-       RETURNING id, email, username, twitter_handle, is_approved, is_admin`,
-      [email, username, hashedPassword, twitterHandle || null, isAdmin]
-    );
+    const isApproved = await isApprovedOnSignup(pool, { isAdmin, isEmailAccount: true });
 
-    const user = result.rows[0];
+    // ADMIN_EMAILS accounts bootstrap the owners; the account and its role
+    // are created together so an admin is never left without permissions
+    const user = await withTransaction(pool, async (client) => {
+      const result = await client.query(
+        `INSERT INTO users (email, username, password, twitter_handle, is_approved, is_admin)
+         VALUES (LOWER($1), $2, $3, $4, $5, $6)
+         RETURNING id, email, username, twitter_handle, is_approved, is_admin, email_verified`,
+        [email, username, hashedPassword, twitterHandle || null, isApproved, isAdmin]
+      );
+      if (isAdmin) {
+        await grantRole(client, { userId: result.rows[0].id, role: 'owner' });
+      }
+      return result.rows[0];
+    });
+
+    // The account exists now; the user can ask for another link if this fails
+    try {
+      await sendVerificationLink(user);
+    } catch (error) {
+      console.error('Verification email error:', error);
+    }
 
-    // Generate JWT token
-    const token = generateToken(user);
+    // Start a session and generate access/refresh tokens
+    const { token, refreshToken } = await issueTokens(pool, user, req);
 
     res.status(201).json({
       success: true,
       message: 'Account created successfully',
       token,
+      refreshToken,
       user: {
         id: user.id.toString(),
         email: user.email,
         username: user.username,
         twitterHandle: user.twitter_handle,
         isApproved: user.is_approved,
-        isAdmin: user.is_admin
+        isAdmin: user.is_admin,
+        emailVerified: user.email_verified
       }
     });
   } catch (error) {
@@ -197,7 +383,7 @@ app.post('/api/auth/register', authRateLimit, async (req, res) => {
 });
 
 // Login
-app.post('/api/auth/login', authRateLimit, async (req, res) => {
+app.post('/api/auth/login', authRateLimit, loginRateLimit, async (req, res) => {
   try {
     const { emailOrUsername, password } = req.body;
 
@@ -208,7 +394,7 @@ app.post('/api/auth/login', authRateLimit, async (req, res) => {
 
     // Find user by email or username
     const result = await pool.query(
-      'SELECT id, email, username, password, twitter_handle, is_approved, is_admin FROM users WHERE LOWER(email) = LOWER($1) OR username = $2',
+      'SELECT id, email, username, password, twitter_handle, is_approved, is_admin, email_verified, totp_enabled FROM users WHERE LOWER(email) = LOWER($1) OR username = $2',
       [emailOrUsername, emailOrUsername]
     );
 
@@ -237,20 +423,29 @@ app.post('/api/auth/login', authRateLimit, async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(user);
+    if (await rejectRestrictedAccount(res, user.id)) return;
+
+    // Second step required when two-factor authentication is enabled
+    if (user.totp_enabled) {
+      return sendTwoFactorChallenge(res, user);
+    }
+
+    // Start a session and generate access/refresh tokens
+    const { token, refreshToken } = await issueTokens(pool, user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user.id.toString(),
         email: user.email,
         username: user.username,
         twitterHandle: user.twitter_handle,
         isApproved: user.is_approved,
-        isAdmin: user.is_admin
+        isAdmin: user.is_admin,
+        emailVerified: user.email_verified
       }
     });
   } catch (error) {
@@ -260,7 +455,8 @@ app.post('/api/auth/login', authRateLimit, async (req, res) => {
 });
 
 // Check approval status
-app.get('/api/auth/status/:userId', async (req, res) => {
+// The rejection reason is only shown to the user it concerns
+app.get('/api/auth/status/:userId', optionalAuth, async (req, res) => {
   try {
     const userId = sanitizeInt(req.params.userId);
     if (!userId) {
@@ -268,7 +464,7 @@ app.get('/api/auth/status/:userId', async (req, res) => {
     }
 
     const result = await pool.query(
-      'SELECT is_approved, is_admin FROM users WHERE id = $1',
+      'SELECT is_approved, is_admin, email_verified, rejected_at, rejection_reason FROM users WHERE id = $1',
       [userId]
     );
 
@@ -277,345 +473,483 @@ app.get('/api/auth/status/:userId', async (req, res) => {
     }
 
     const user = result.rows[0];
+    const approvalStatus = getApprovalStatus(user);
     res.json({
       success: true,
       isApproved: user.is_approved,
-      isAdmin: user.is_admin
+      approvalStatus,
+      ...(approvalStatus === 'rejected' && req.user?.userId === userId && { rejectionReason: user.rejection_reason }),
+      isAdmin: user.is_admin,
+      emailVerified: user.email_verified
     });
   } catch (error) {
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// ============================================
-// Twitter/X OAuth 2.0 Endpoints
-// ============================================
-
-// Initialize Twitter OAuth flow - generates PKCE challenge
-app.get('/api/auth/twitter/init', authRateLimit, async (req, res) => {
+// Refresh access token - rotates the refresh token on every use
+app.post('/api/auth/refresh', sessionRateLimit, async (req, res) => {
   try {
-    if (!TWITTER_CLIENT_ID) {
-      return res.status(500).json({
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ success: false, message: 'Refresh token is required' });
+    }
+
+    const rotated = await rotateRefreshToken(pool, refreshToken, getSessionMetadata(req));
+    if (rotated.error) {
+      return res.status(401).json({
         success: false,
-        message: 'Twitter OAuth not configured'
+        message: rotated.error === 'reused'
+          ? 'Refresh token reuse detected. Please sign in again.'
+          : 'Invalid or expired refresh token'
       });
     }
 
-    // Generate PKCE code verifier (43-128 chars, URL-safe)
-    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const result = await pool.query(
+      'SELECT id, username, is_admin FROM users WHERE id = $1',
+      [rotated.userId]
+    );
 
-    // Generate code challenge (SHA256 hash of verifier, base64url encoded)
-    const codeChallenge = crypto
-      .createHash('sha256')
-      .update(codeVerifier)
-      .digest('base64url');
+    if (result.rows.length === 0) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired refresh token' });
+    }
 
-    // Generate state parameter for CSRF protection
-    const state = crypto.randomBytes(16).toString('hex');
+    if (await rejectRestrictedAccount(res, rotated.userId)) return;
 
-    // Store code verifier temporarily
-    pkceStore.set(state, {
-      codeVerifier,
-      createdAt: Date.now()
+    res.json({
+      success: true,
+      token: generateToken(result.rows[0], rotated.sessionId),
+      refreshToken: rotated.refreshToken
     });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    // Build Twitter OAuth URL
-    const params = new URLSearchParams({
-      response_type: 'code',
-      client_id: TWITTER_CLIENT_ID,
-      redirect_uri: TWITTER_CALLBACK_URL,
-      scope: 'tweet.read users.read offline.access',
-      state: state,
-      code_challenge: codeChallenge,
-      code_challenge_method: 'S256'
-    });
+// Logout - revokes the session belonging to the refresh token
+app.post('/api/auth/logout', sessionRateLimit, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
 
-    const authUrl = `https://twitter.com/i/oauth2/authorize?${params.toString()}`;
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ success: false, message: 'Refresh token is required' });
+    }
 
-    res.json({
-      success: true,
-      authUrl,
-      state,
-      codeVerifier
-    });
+    // Always report success so the endpoint can't be used to probe tokens
+    await revokeSessionByRefreshToken(pool, refreshToken);
+
+    res.json({ success: true, message: 'Logged out' });
   } catch (error) {
-    console.error('Twitter init error:', error);
+    console.error('Logout error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Twitter OAuth callback - exchanges code for tokens
-app.post('/api/auth/twitter/callback', authRateLimit, async (req, res) => {
+// Request a password reset email
+app.post('/api/auth/password/forgot', authRateLimit, passwordResetRateLimit, async (req, res) => {
   try {
-    const { code, state, codeVerifier } = req.body;
+    const { email } = req.body;
 
-    if (!code || !state || !codeVerifier) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required parameters'
-      });
+    if (!email || typeof email !== 'string' || !isValidEmail(email)) {
+      return res.status(400).json({ success: false, message: 'Invalid email address' });
     }
 
-    if (!TWITTER_CLIENT_ID || !TWITTER_CLIENT_SECRET) {
-      return res.status(500).json({
-        success: false,
-        message: 'Twitter OAuth not configured'
+    // Same response whether or not the account exists to prevent email enumeration
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    };
+
+    const result = await pool.query(
+      'SELECT id, email, username, password FROM users WHERE LOWER(email) = LOWER($1)',
+      [email]
+    );
+
+    // Answer before doing any work for the account, so response times don't
+    // reveal which emails are registered. OAuth-only accounts have no
+    // password to reset.
+    res.json(genericResponse);
+
+    if (result.rows.length > 0 && result.rows[0].password) {
+      sendPasswordResetLink(result.rows[0], req.ip).catch(error => {
+        console.error('Password reset email error:', error);
       });
     }
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    // Validate state against stored PKCE data (REQUIRED for CSRF protection)
-    const storedData = pkceStore.get(state);
-    if (!storedData) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid or expired state parameter. Please try again.'
-      });
+// Reset password using a token from the reset email
+app.post('/api/auth/password/reset', authRateLimit, async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({ success: false, message: 'Reset token is required' });
+  }
+  if (!password || !isValidPassword(password)) {
+    return res.status(400).json({ success: false, message: 'Password must be at least 8 characters with uppercase, lowercase, and number' });
+  }
+
+  try {
+    const salt = await bcrypt.genSalt(BCRYPT_ROUNDS);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    const userId = await withTransaction(pool, async (client) => {
+      const resetUserId = await consumePasswordResetToken(client, token);
+      if (!resetUserId) return null;
+
+      await client.query('UPDATE users SET password = $1 WHERE id = $2', [hashedPassword, resetUserId]);
+
+      // Sign out every existing login in case the account was compromised
+      await revokeAllUserSessions(client, resetUserId, 'password_reset');
+      return resetUserId;
+    });
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired reset token' });
     }
-    pkceStore.delete(state); // Clean up after validation
-
-    // Exchange authorization code for access token
-    const tokenParams = new URLSearchParams({
-      code: code,
-      grant_type: 'authorization_code',
-      client_id: TWITTER_CLIENT_ID,
-      redirect_uri: TWITTER_CALLBACK_URL,
-      code_verifier: codeVerifier
-    });
-
-    const tokenResponse = await axios.post(
-      'https://api.twitter.com/2/oauth2/token',
-      tokenParams.toString(),
-      {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'Authorization': `Basic ${Buffer.from(`${TWITTER_CLIENT_ID}:${TWITTER_CLIENT_SECRET}`).toString('base64')}`
-        }
-      }
-    );
 
-    const { access_token } = tokenResponse.data;
+    console.log(`Password reset for user ${userId}`);
 
-    // Fetch Twitter user profile
-    const userResponse = await axios.get('https://api.twitter.com/2/users/me', {
-      headers: {
-        'Authorization': `Bearer ${access_token}`
-      },
-      params: {
-        'user.fields': 'id,name,username,profile_image_url'
-      }
+    res.json({ success: true, message: 'Password has been reset. Please sign in again.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Verify email address using the link from the verification email
+app.get('/api/auth/email/verify', async (req, res) => {
+  // Opened from an email client, so answer with a small HTML page unless JSON was asked for
+  const wantsJson = req.accepts(['html', 'json']) === 'json';
+  const respond = (status, message) => {
+    if (wantsJson) {
+      return res.status(status).json({ success: status === 200, message });
+    }
+    res.status(status).send(`
+      <!DOCTYPE html>
+      <html>
+        <head><title>Karass</title></head>
+        <body><p>${escapeHtml(message)}</p></body>
+      </html>
+    `);
+  };
+
+  const { token } = req.query;
+  if (!token || typeof token !== 'string') {
+    return respond(400, 'Verification token is required');
+  }
+
+  try {
+    const userId = await withTransaction(pool, async (client) => {
+      const verifiedUserId = await consumeEmailVerificationToken(client, token);
+      if (!verifiedUserId) return null;
+
+      // Accounts held back for verification become approved once verified,
+      // unless an admin has rejected them
+      const approveOnVerification = await isApprovedOnEmailVerification(client);
+      await client.query(
+        `UPDATE users
+         SET email_verified = TRUE,
+             email_verified_at = NOW(),
+             is_approved = is_approved OR ($2 AND rejected_at IS NULL)
+         WHERE id = $1`,
+        [verifiedUserId, approveOnVerification]
+      );
+      return verifiedUserId;
     });
+    if (!userId) {
+      return respond(400, 'This verification link is invalid or has expired');
+    }
+
+    console.log(`Email verified for user ${userId}`);
 
-    const twitterUser = userResponse.data.data;
-    const twitterId = twitterUser.id;
-    const twitterUsername = twitterUser.username;
-    const twitterName = twitterUser.name;
+    respond(200, 'Your email address has been verified. You can return to the Karass app.');
+  } catch (error) {
+    console.error('Verify email error:', error);
+    respond(500, 'Server error');
+  }
+});
 
-    // Check if user exists by twitter_id
-    let userResult = await pool.query(
-      'SELECT id, email, username, twitter_handle, twitter_id, is_approved, is_admin FROM users WHERE twitter_id = $1',
-      [twitterId]
+// Resend the verification email for the current user
+app.post('/api/auth/email/resend', requireAuth, emailRateLimit, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, email, username, email_verified FROM users WHERE id = $1',
+      [req.user.userId]
     );
 
-    let user;
-    let isNewUser = false;
-
-    if (userResult.rows.length === 0) {
-      // Create new user with Twitter auth
-      // Generate unique username if needed
-      let finalUsername = twitterUsername;
-      let suffix = 1;
-
-      while (true) {
-        const existingUser = await pool.query(
-          'SELECT id FROM users WHERE username = $1',
-          [finalUsername]
-        );
-        if (existingUser.rows.length === 0) break;
-        finalUsername = `${twitterUsername}${suffix}`;
-        suffix++;
-      }
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
 
-      const insertResult = await pool.query(
-        `INSERT INTO users (username, twitter_handle, twitter_id, auth_provider, is_approved, is_admin)
-         VALUES ($1, $2, $3, 'twitter', TRUE, FALSE)
-         RETURNING id, email, username, twitter_handle, twitter_id, is_approved, is_admin`,
-        [finalUsername, `@${twitterUsername}`, twitterId]
-      );
+    const user = result.rows[0];
+    if (!user.email) {
+      return res.status(400).json({ success: false, message: 'No email address on this account' });
+    }
+    if (user.email_verified) {
+      return res.status(400).json({ success: false, message: 'Email already verified' });
+    }
 
-      user = insertResult.rows[0];
-      isNewUser = true;
-      console.log(`Created new Twitter user: ${finalUsername} (Twitter ID: ${twitterId})`);
-    } else {
-      user = userResult.rows[0];
-      console.log(`Existing Twitter user logged in: ${user.username}`);
+    await sendVerificationLink(user);
+
+    res.json({ success: true, message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============================================
+// Two-Factor Authentication Endpoints
+// ============================================
+
+// Complete a login that returned twoFactorRequired
+app.post('/api/auth/2fa/login', authRateLimit, twoFactorRateLimit, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || typeof challengeToken !== 'string' || (!code && !recoveryCode)) {
+      return res.status(400).json({ success: false, message: 'Challenge token and code are required' });
+    }
+
+    const userId = verifyTwoFactorChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({ success: false, message: 'Login challenge expired. Please sign in again.' });
+    }
+
+    if (!(await verifySecondFactor(pool, userId, { code, recoveryCode }))) {
+      return res.status(400).json({ success: false, message: 'Invalid authentication code' });
     }
 
-    // Generate JWT token
-    const token = generateToken(user);
+    if (await rejectRestrictedAccount(res, userId)) return;
+
+    const result = await pool.query(
+      `SELECT id, email, username, twitter_handle, twitter_id, github_handle, github_id, is_approved, is_admin, email_verified
+       FROM users WHERE id = $1`,
+      [userId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(401).json({ success: false, message: 'Login challenge expired. Please sign in again.' });
+    }
+
+    const user = result.rows[0];
+    const { token, refreshToken } = await issueTokens(pool, user, req);
 
     res.json({
       success: true,
-      message: isNewUser ? 'Account created successfully' : 'Login successful',
-      isNewUser,
+      message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user.id.toString(),
         email: user.email || null,
         username: user.username,
         twitterHandle: user.twitter_handle,
         twitterId: user.twitter_id,
+        githubHandle: user.github_handle,
+        githubId: user.github_id,
         isApproved: user.is_approved,
-        isAdmin: user.is_admin
+        isAdmin: user.is_admin,
+        emailVerified: user.email_verified
       }
     });
   } catch (error) {
-    console.error('Twitter callback error:', error.response?.data || error.message);
-    res.status(500).json({
-      success: false,
-      message: error.response?.data?.error_description || 'Twitter authentication failed'
-    });
+    console.error('2FA login error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Link Twitter account to existing email user (optional feature)
-app.post('/api/auth/twitter/link', requireAuth, async (req, res) => {
+// Get two-factor status for the current user
+app.get('/api/auth/2fa/status', requireAuth, async (req, res) => {
   try {
-    const { code, codeVerifier } = req.body;
-    const userId = req.user.userId;
-
-    if (!code || !codeVerifier) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required parameters'
-      });
+    const result = await pool.query('SELECT totp_enabled FROM users WHERE id = $1', [req.user.userId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'User not found' });
     }
 
-    // Exchange code for access token (same as callback)
-    const tokenParams = new URLSearchParams({
-      code: code,
-      grant_type: 'authorization_code',
-      client_id: TWITTER_CLIENT_ID,
-      redirect_uri: TWITTER_CALLBACK_URL,
-      code_verifier: codeVerifier
+    const enabled = result.rows[0].totp_enabled || false;
+    res.json({
+      success: true,
+      enabled,
+      recoveryCodesRemaining: enabled ? await countRemainingRecoveryCodes(pool, req.user.userId) : 0
     });
+  } catch (error) {
+    console.error('2FA status error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    const tokenResponse = await axios.post(
-      'https://api.twitter.com/2/oauth2/token',
-      tokenParams.toString(),
-      {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'Authorization': `Basic ${Buffer.from(`${TWITTER_CLIENT_ID}:${TWITTER_CLIENT_SECRET}`).toString('base64')}`
-        }
-      }
+// Start two-factor enrollment - returns the secret for the authenticator app
+app.post('/api/auth/2fa/setup', requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, email, username, totp_enabled FROM users WHERE id = $1',
+      [req.user.userId]
     );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (result.rows[0].totp_enabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    }
 
-    const { access_token } = tokenResponse.data;
+    const { secret, otpauthUrl } = await beginEnrollment(pool, result.rows[0]);
 
-    // Fetch Twitter user profile
-    const userResponse = await axios.get('https://api.twitter.com/2/users/me', {
-      headers: {
-        'Authorization': `Bearer ${access_token}`
-      }
+    res.json({
+      success: true,
+      message: 'Scan the code with your authenticator app, then confirm with /api/auth/2fa/verify',
+      secret,
+      otpauthUrl
     });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    const twitterUser = userResponse.data.data;
-    const twitterId = twitterUser.id;
-    const twitterUsername = twitterUser.username;
-
-    // Check if this Twitter account is already linked to another user
-    const existingLink = await pool.query(
-      'SELECT id FROM users WHERE twitter_id = $1 AND id != $2',
-      [twitterId, userId]
-    );
-
-    if (existingLink.rows.length > 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'This Twitter account is already linked to another user'
-      });
+// Confirm enrollment with a code - returns one-time recovery codes
+app.post('/api/auth/2fa/verify', requireAuth, authRateLimit, twoFactorRateLimit, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ success: false, message: 'Code is required' });
     }
 
-    // Link Twitter to user
-    await pool.query(
-      'UPDATE users SET twitter_id = $1, twitter_handle = $2 WHERE id = $3',
-      [twitterId, `@${twitterUsername}`, userId]
-    );
+    const recoveryCodes = await confirmEnrollment(pool, req.user.userId, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ success: false, message: 'Invalid code or no enrollment in progress' });
+    }
 
+    console.log(`Two-factor authentication enabled for user ${req.user.userId}`);
     res.json({
       success: true,
-      message: 'Twitter account linked successfully',
-      twitterHandle: `@${twitterUsername}`
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      recoveryCodes
     });
   } catch (error) {
-    console.error('Twitter link error:', error.response?.data || error.message);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to link Twitter account'
-    });
+    console.error('2FA verify error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// ============================================
-// GitHub OAuth 2.0 Endpoints
-// ============================================
-
-// Initialize GitHub OAuth flow - generates PKCE challenge
-app.get('/api/auth/github/init', authRateLimit, async (req, res) => {
+// Disable two-factor authentication (requires a current code or recovery code)
+app.post('/api/auth/2fa/disable', requireAuth, authRateLimit, twoFactorRateLimit, async (req, res) => {
   try {
-    if (!GITHUB_CLIENT_ID) {
-      return res.status(500).json({
-        success: false,
-        message: 'GitHub OAuth not configured'
-      });
+    const { code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ success: false, message: 'Code or recovery code is required' });
+    }
+
+    if (!(await verifySecondFactor(pool, req.user.userId, { code, recoveryCode }))) {
+      return res.status(400).json({ success: false, message: 'Invalid authentication code' });
     }
 
-    // Generate PKCE code verifier (43-128 chars, URL-safe)
-    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    await disableTwoFactor(pool, req.user.userId);
+    console.log(`Two-factor authentication disabled for user ${req.user.userId}`);
 
-    // Generate code challenge (SHA256 hash of verifier, base64url encoded)
-    const codeChallenge = crypto
-      .createHash('sha256')
-      .update(codeVerifier)
-      .digest('base64url');
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============================================
+// OAuth 2.0 Endpoints (providers in services/oauthProviders.js)
+// ============================================
+
+/**
+ * Resolve the :provider route parameter, responding with an error if it is
+ * unknown or not configured
+ * @returns {Object|null} The provider, or null if a response was sent
+ */
+function resolveOAuthProvider(req, res) {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    res.status(404).json({ success: false, message: 'Unknown OAuth provider' });
+    return null;
+  }
+  if (!isProviderConfigured(provider)) {
+    res.status(500).json({ success: false, message: `${provider.displayName} OAuth not configured` });
+    return null;
+  }
+  return provider;
+}
+
+/**
+ * Validate the OAuth state and code verifier, then fetch the provider profile
+ * @returns {Promise<Object|null>} The normalized profile, or null if a response was sent
+ */
+async function completeOAuthExchange(provider, req, res) {
+  const { code, state } = req.body;
 
-    // Generate state parameter for CSRF protection
-    const state = crypto.randomBytes(16).toString('hex');
+  if (!code || !state) {
+    res.status(400).json({ success: false, message: 'Missing required parameters' });
+    return null;
+  }
 
-    // Store code verifier temporarily
-    pkceStore.set(state, {
-      codeVerifier,
-      createdAt: Date.now()
+  // Validate and consume the stored state (REQUIRED for CSRF protection)
+  // Only the stored verifier is used; a client-supplied one is ignored
+  const codeVerifier = await consumeOAuthState(pool, state, provider.id);
+  if (!codeVerifier) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid or expired state parameter. Please try again.'
     });
+    return null;
+  }
+
+  const tokenResult = await exchangeCodeForToken(provider, code, codeVerifier);
+  if (tokenResult.error) {
+    res.status(400).json({ success: false, message: tokenResult.error });
+    return null;
+  }
 
-    // Build GitHub OAuth URL
-    const params = new URLSearchParams({
-      client_id: GITHUB_CLIENT_ID,
-      redirect_uri: GITHUB_CALLBACK_URL,
-      scope: 'read:user user:email',
-      state: state,
-      code_challenge: codeChallenge,
-      code_challenge_method: 'S256'
+  const profile = await fetchProfile(provider, tokenResult.accessToken);
+  if (!profile.providerUserId || !profile.username) {
+    res.status(400).json({
+      success: false,
+      message: `Invalid ${provider.displayName} user data received`
     });
+    return null;
+  }
+
+  return profile;
+}
+
+// Initialize OAuth flow - generates PKCE challenge
+app.get('/api/auth/:provider/init', authRateLimit, async (req, res) => {
+  try {
+    const provider = resolveOAuthProvider(req, res);
+    if (!provider) return;
 
-    const authUrl = `https://github.com/login/oauth/authorize?${params.toString()}`;
+    // The verifier stays server-side; only the challenge goes to the provider
+    const { state, codeChallenge } = await createOAuthState(pool, provider.id);
 
     res.json({
       success: true,
-      authUrl,
-      state,
-      codeVerifier
+      authUrl: buildAuthorizeUrl(provider, state, codeChallenge),
+      state
     });
   } catch (error) {
-    console.error('GitHub init error:', error);
+    console.error('OAuth init error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// GitHub OAuth web callback - receives redirect from GitHub, redirects to app
-// This is needed because GitHub only supports HTTP/HTTPS redirect URLs, not custom schemes
-app.get('/api/auth/github/web-callback', async (req, res) => {
+// OAuth web callback - receives redirect from the provider, redirects to app
+// This is needed because some providers only support HTTP/HTTPS redirect URLs, not custom schemes
+app.get('/api/auth/:provider/web-callback', async (req, res) => {
   try {
+    const provider = getProvider(req.params.provider);
+    if (!provider || provider.redirectStyle !== 'web') {
+      return res.status(404).send('Unknown OAuth provider');
+    }
+
     const { code, state, error, error_description } = req.query;
 
     // Build the app redirect URL
@@ -635,8 +969,8 @@ app.get('/api/auth/github/web-callback', async (req, res) => {
     }
 
     // Redirect to the app's custom URL scheme
-    const appRedirectUrl = `karass://callback?${appRedirectParams.toString()}`;
-    console.log('GitHub OAuth: Redirecting to app:', appRedirectUrl);
+    const appRedirectUrl = `${APP_CALLBACK_URL}?${appRedirectParams.toString()}`;
+    console.log(`${provider.displayName} OAuth: Redirecting to app:`, appRedirectUrl);
 
     // Send HTML that redirects to the app scheme (more reliable than HTTP redirect)
     // Escape URL to prevent XSS attacks
@@ -656,186 +990,38 @@ app.get('/api/auth/github/web-callback', async (req, res) => {
       </html>
     `);
   } catch (error) {
-    console.error('GitHub web callback error:', error);
-    res.status(500).send('Error processing GitHub callback');
+    console.error('OAuth web callback error:', error);
+    res.status(500).send('Error processing OAuth callback');
   }
 });
 
-// GitHub OAuth callback - exchanges code for tokens
-app.post('/api/auth/github/callback', authRateLimit, async (req, res) => {
+// OAuth callback - exchanges code for tokens and signs the user in
+app.post('/api/auth/:provider/callback', authRateLimit, async (req, res) => {
+  let provider;
   try {
-    const { code, state, codeVerifier } = req.body;
+    provider = resolveOAuthProvider(req, res);
+    if (!provider) return;
 
-    if (!code || !state || !codeVerifier) {
-      return res.status(400).json({
-        success: false,
-        message: 'Missing required parameters'
-      });
-    }
+    const profile = await completeOAuthExchange(provider, req, res);
+    if (!profile) return;
 
-    if (!GITHUB_CLIENT_ID || !GITHUB_CLIENT_SECRET) {
-      return res.status(500).json({
-        success: false,
-        message: 'GitHub OAuth not configured'
-      });
-    }
+    const { user, isNewUser } = await findOrCreateUser(pool, provider, profile);
 
-    // Validate state against stored PKCE data (REQUIRED for CSRF protection)
-    const storedData = pkceStore.get(state);
-    if (!storedData) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid or expired state parameter. Please try again.'
-      });
-    }
+    if (await rejectRestrictedAccount(res, user.id)) return;
 
-    // Verify code verifier matches stored value (prevents replay attacks)
-    if (storedData.codeVerifier !== codeVerifier) {
-      pkceStore.delete(state);
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid code verifier. Please try again.'
-      });
+    if (user.totp_enabled) {
+      return sendTwoFactorChallenge(res, user);
     }
-    pkceStore.delete(state); // Clean up after validation
-
-    // Exchange authorization code for access token (with PKCE code_verifier)
-    const tokenResponse = await axios.post(
-      'https://github.com/login/oauth/access_token',
-      {
-        client_id: GITHUB_CLIENT_ID,
-        client_secret: GITHUB_CLIENT_SECRET,
-        code: code,
-        redirect_uri: GITHUB_CALLBACK_URL,
-        code_verifier: codeVerifier  // Required for PKCE
-      },
-      {
-        headers: {
-          'Accept': 'application/json',
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000  // 10 second timeout
-      }
-    );
 
-    const { access_token, error, error_description } = tokenResponse.data;
-
-    if (error || !access_token) {
-      console.error('GitHub token error:', error, error_description);
-      return res.status(400).json({
-        success: false,
-        message: error_description || 'Failed to get access token from GitHub'
-      });
-    }
-
-    // Fetch GitHub user profile
-    const userResponse = await axios.get('https://api.github.com/user', {
-      headers: {
-        'Authorization': `Bearer ${access_token}`,
-        'Accept': 'application/vnd.github.v3+json',
-        'User-Agent': 'Karass-App'  // GitHub API requires User-Agent
-      },
-      timeout: 10000  // 10 second timeout
-    });
-
-    const githubUser = userResponse.data;
-    const githubId = String(githubUser.id);
-    // Sanitize GitHub username: only allow alphanumeric, hyphens (GitHub's own rules)
-    const githubUsername = (githubUser.login || '').replace(/[^a-zA-Z0-9-]/g, '').substring(0, 30);
-    const githubEmail = githubUser.email;
-
-    if (!githubId || !githubUsername) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid GitHub user data received'
-      });
-    }
-
-    // Check if user exists by github_id
-    let userResult = await pool.query(
-      'SELECT id, email, username, twitter_handle, twitter_id, github_handle, github_id, is_approved, is_admin FROM users WHERE github_id = $1',
-      [githubId]
-    );
-
-    let user;
-    let isNewUser = false;
-
-    if (userResult.rows.length === 0) {
-      // Create new user with GitHub auth using transaction for race condition safety
-      const client = await pool.connect();
-      try {
-        await client.query('BEGIN');
-
-        // Generate unique username with retry logic
-        let finalUsername = githubUsername;
-        let suffix = 1;
-        const maxAttempts = 100;
-
-        while (suffix <= maxAttempts) {
-          try {
-            const insertResult = await client.query(
-              `INSERT INTO users (username, email, github_handle, github_id, auth_provider, is_approved, is_admin)
-               VALUES ($1, $2, $3, $4, 'github', TRUE, FALSE)
-               RETURNING id, email, username, twitter_handle, twitter_id, github_handle, github_id, is_approved, is_admin`,
-              [finalUsername, githubEmail || null, `@${githubUsername}`, githubId]
-            );
-            user = insertResult.rows[0];
-            isNewUser = true;
-            await client.query('COMMIT');
-            console.log(`Created new GitHub user: ${finalUsername} (GitHub ID: ${githubId})`);
-            break;
-          } catch (insertError) {
-            // Check if it's a unique constraint violation on username
-            if (insertError.code === '23505' && insertError.constraint && insertError.constraint.includes('username')) {
-              finalUsername = `${githubUsername}${suffix}`;
-              suffix++;
-              continue;
-            }
-            // Check if it's a unique constraint violation on github_id (user already exists)
-            if (insertError.code === '23505' && insertError.constraint && insertError.constraint.includes('github_id')) {
-              await client.query('ROLLBACK');
-              // User was created by another request, fetch them
-              userResult = await pool.query(
-                'SELECT id, email, username, twitter_handle, twitter_id, github_handle, github_id, is_approved, is_admin FROM users WHERE github_id = $1',
-                [githubId]
-              );
-              if (userResult.rows.length > 0) {
-                user = userResult.rows[0];
-                isNewUser = false;
-              }
-              break;
-            }
-            await client.query('ROLLBACK');
-            throw insertError;
-          }
-        }
-
-        if (!user && suffix > maxAttempts) {
-          await client.query('ROLLBACK');
-          return res.status(500).json({
-            success: false,
-            message: 'Failed to generate unique username'
-          });
-        }
-      } catch (txError) {
-        await client.query('ROLLBACK');
-        throw txError;
-      } finally {
-        client.release();
-      }
-    } else {
-      user = userResult.rows[0];
-      console.log(`Existing GitHub user logged in: ${user.username}`);
-    }
-
-    // Generate JWT token
-    const token = generateToken(user);
+    // Start a session and generate access/refresh tokens
+    const { token, refreshToken } = await issueTokens(pool, user, req);
 
     res.json({
       success: true,
       message: isNewUser ? 'Account created successfully' : 'Login successful',
       isNewUser,
       token,
+      refreshToken,
       user: {
         id: user.id.toString(),
         email: user.email || null,
@@ -845,73 +1031,300 @@ app.post('/api/auth/github/callback', authRateLimit, async (req, res) => {
         githubHandle: user.github_handle,
         githubId: user.github_id,
         isApproved: user.is_approved,
-        isAdmin: user.is_admin
+        isAdmin: user.is_admin,
+        emailVerified: user.email_verified
       }
     });
   } catch (error) {
-    console.error('GitHub callback error:', error.response?.data || error.message);
+    const providerName = provider?.displayName || 'OAuth';
+    console.error(`${providerName} callback error:`, error.response?.data || error.message);
+    res.status(500).json({
+      success: false,
+      message: error.response?.data?.error_description
+        || error.response?.data?.message
+        || `${providerName} authentication failed`
+    });
+  }
+});
+
+// Link a provider account to the current user
+app.post('/api/auth/:provider/link', requireAuth, async (req, res) => {
+  let provider;
+  try {
+    provider = resolveOAuthProvider(req, res);
+    if (!provider) return;
+
+    const profile = await completeOAuthExchange(provider, req, res);
+    if (!profile) return;
+
+    const result = await linkIdentity(pool, provider, profile, req.user.userId);
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: `${provider.displayName} account linked successfully`,
+      handle: profile.handle,
+      // Kept for app builds that predate other providers
+      ...(provider.id === 'twitter' && { twitterHandle: profile.handle })
+    });
+  } catch (error) {
+    const providerName = provider?.displayName || 'OAuth';
+    console.error(`${providerName} link error:`, error.response?.data || error.message);
     res.status(500).json({
       success: false,
-      message: error.response?.data?.message || 'GitHub authentication failed'
+      message: `Failed to link ${providerName} account`
     });
   }
 });
 
+/**
+ * Format a user from the approval queue for API responses
+ */
+function formatApprovalUser(user) {
+  return {
+    id: user.id.toString(),
+    email: user.email,
+    username: user.username,
+    approvalStatus: getApprovalStatus(user),
+    rejectionReason: user.rejection_reason,
+    rejectedAt: user.rejected_at,
+    ...(user.created_at !== undefined && {
+      authProvider: user.auth_provider,
+      twitterHandle: user.twitter_handle,
+      githubHandle: user.github_handle,
+      emailVerified: user.email_verified,
+      createdAt: user.created_at
+    })
+  };
+}
+
+/**
+ * Parse an optional ISO date query parameter
+ * @returns {Date|null|undefined} undefined if absent, null if invalid
+ */
+function parseDateQuery(value) {
+  if (value === undefined) return undefined;
+  const date = typeof value === 'string' ? new Date(value) : new Date(NaN);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Apply an approval decision and audit each user it applied to, in one transaction
+ * @param {{userIds: number[], decision: 'approve'|'reject', reason?: string}} options
+ */
+async function decideAndAuditApprovals(req, options) {
+  return withTransaction(pool, async (client) => {
+    const outcome = await decideApprovals(client, { ...options, adminId: req.adminId });
+    for (const user of outcome.decided) {
+      await recordAudit(client, req, {
+        action: options.decision === 'approve' ? 'user.approve' : 'user.reject',
+        targetType: 'user',
+        targetId: user.id,
+        before: { approvalStatus: user.previous.status, rejectionReason: user.previous.reason },
+        after: { approvalStatus: getApprovalStatus(user), rejectionReason: user.rejection_reason }
+      });
+    }
+    return outcome;
+  });
+}
+
+// Admin: List users awaiting approval (or rejected, with ?status=rejected)
+app.get('/api/admin/approvals', requirePermission('users:approve'), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!['pending', 'rejected'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Status must be pending or rejected' });
+    }
+
+    const provider = req.query.provider;
+    if (provider !== undefined && (typeof provider !== 'string' || !(provider === 'email' || getProvider(provider)))) {
+      return res.status(400).json({ success: false, message: 'Unknown provider' });
+    }
+
+    const signedUpAfter = parseDateQuery(req.query.signedUpAfter);
+    const signedUpBefore = parseDateQuery(req.query.signedUpBefore);
+    if (signedUpAfter === null || signedUpBefore === null) {
+      return res.status(400).json({ success: false, message: 'Invalid sign-up date' });
+    }
+
+    let limit = sanitizeInt(req.query.limit) || 50;
+    limit = Math.min(Math.max(1, limit), 100);
+
+    const after = req.query.after === undefined ? null : sanitizeInt(req.query.after);
+    if (req.query.after !== undefined && !after) {
+      return res.status(400).json({ success: false, message: 'Invalid cursor' });
+    }
+
+    const { users, total } = await listApprovalQueue(pool, {
+      status, provider, signedUpAfter, signedUpBefore, limit, after
+    });
+
+    res.json({
+      success: true,
+      total,
+      users: users.map(formatApprovalUser),
+      nextCursor: users.length === limit ? users[users.length - 1].id.toString() : null
+    });
+  } catch (error) {
+    console.error('List approvals error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // Admin: Approve user
-app.post('/api/admin/approve/:userId', requireAdmin, async (req, res) => {
+app.post('/api/admin/approve/:userId', requirePermission('users:approve'), async (req, res) => {
   try {
     const userId = sanitizeInt(req.params.userId);
     if (!userId) {
       return res.status(400).json({ success: false, message: 'Invalid user ID' });
     }
 
-    await pool.query('UPDATE users SET is_approved = TRUE WHERE id = $1', [userId]);
+    const { decided, skipped } = await decideAndAuditApprovals(req, {
+      userIds: [userId], decision: 'approve'
+    });
+    pushWorker.wake();
 
-    const result = await pool.query(
-      'SELECT id, email, username, is_approved FROM users WHERE id = $1',
-      [userId]
-    );
+    if (skipped[0]?.reason === 'not_found') {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (skipped[0]?.reason === 'email_not_verified') {
+      return res.status(400).json({ success: false, message: 'User has not verified their email address' });
+    }
 
-    if (result.rows.length === 0) {
+    const user = decided[0] || (await pool.query(
+      'SELECT id, email, username, is_approved, rejected_at, rejection_reason FROM users WHERE id = $1',
+      [userId]
+    )).rows[0];
+    if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
-    const user = result.rows[0];
     res.json({
       success: true,
       message: 'User approved',
-      user: {
-        id: user.id.toString(),
-        email: user.email,
-        username: user.username,
-        isApproved: user.is_approved
-      }
+      user: { ...formatApprovalUser(user), isApproved: user.is_approved }
     });
   } catch (error) {
+    console.error('Approve user error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Admin: Set user as admin
-app.post('/api/admin/set-admin/:userId', requireAdmin, async (req, res) => {
+// Admin: Reject user with a reason shown to them
+app.post('/api/admin/reject/:userId', requirePermission('users:approve'), async (req, res) => {
   try {
     const userId = sanitizeInt(req.params.userId);
     if (!userId) {
       return res.status(400).json({ success: false, message: 'Invalid user ID' });
     }
 
-    await pool.query('UPDATE users SET is_admin = TRUE WHERE id = $1', [userId]);
+    const { reason } = req.body;
+    const reasonError = validateRejectionReason(reason);
+    if (reasonError) {
+      return res.status(400).json({ success: false, message: reasonError });
+    }
 
-    const result = await pool.query(
-      'SELECT id, email, username, is_admin FROM users WHERE id = $1',
-      [userId]
-    );
+    const { decided, skipped } = await decideAndAuditApprovals(req, {
+      userIds: [userId], decision: 'reject', reason
+    });
+    pushWorker.wake();
 
-    if (result.rows.length === 0) {
+    if (skipped[0]?.reason === 'not_found') {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
+    if (skipped[0]?.reason === 'is_admin') {
+      return res.status(400).json({ success: false, message: 'Admins cannot be rejected' });
+    }
+
+    // The user changed between the checks and the update (e.g. was made an admin)
+    const user = decided[0];
+    if (!user) {
+      return res.status(409).json({ success: false, message: 'User changed while being rejected; please try again' });
+    }
 
-    const user = result.rows[0];
+    res.json({
+      success: true,
+      message: 'User rejected',
+      user: { ...formatApprovalUser(user), isApproved: user.is_approved }
+    });
+  } catch (error) {
+    console.error('Reject user error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Admin: Approve or reject several users at once
+app.post('/api/admin/approvals/bulk', requirePermission('users:approve'), async (req, res) => {
+  try {
+    const { userIds, decision, reason } = req.body;
+
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({ success: false, message: 'Decision must be approve or reject' });
+    }
+    if (!Array.isArray(userIds) || userIds.length === 0 || userIds.length > MAX_BULK_DECISIONS) {
+      return res.status(400).json({
+        success: false,
+        message: `userIds must be a list of 1 to ${MAX_BULK_DECISIONS} user IDs`
+      });
+    }
+
+    const ids = userIds.map(id => sanitizeInt(id));
+    if (ids.some(id => !id)) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+
+    if (decision === 'reject') {
+      const reasonError = validateRejectionReason(reason);
+      if (reasonError) {
+        return res.status(400).json({ success: false, message: reasonError });
+      }
+    }
+
+    const { decided, skipped } = await decideAndAuditApprovals(req, {
+      userIds: ids, decision, reason
+    });
+    pushWorker.wake();
+
+    res.json({
+      success: true,
+      message: `${decided.length} user(s) ${decision === 'approve' ? 'approved' : 'rejected'}`,
+      users: decided.map(formatApprovalUser),
+      skipped: skipped.map(({ id, reason: skipReason }) => ({ id: id.toString(), reason: skipReason }))
+    });
+  } catch (error) {
+    console.error('Bulk approval error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Admin: Set user as admin
+app.post('/api/admin/set-admin/:userId', requirePermission('roles:manage-admins'), async (req, res) => {
+  try {
+    const userId = sanitizeInt(req.params.userId);
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+
+    const granted = await withTransaction(pool, async (client) => {
+      const result = await grantRole(client, { userId, role: 'admin', grantedBy: req.adminId });
+      if (!result.notFound) {
+        await recordAudit(client, req, {
+          action: 'role.grant',
+          targetType: 'user',
+          targetId: userId,
+          before: { roles: result.previousRoles },
+          after: { roles: result.roles }
+        });
+      }
+      return result;
+    });
+    if (granted.notFound) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const user = await getManagedUser(pool, userId);
     res.json({
       success: true,
       message: 'User is now admin',
@@ -919,75 +1332,607 @@ app.post('/api/admin/set-admin/:userId', requireAdmin, async (req, res) => {
         id: user.id.toString(),
         email: user.email,
         username: user.username,
-        isAdmin: user.is_admin
+        isAdmin: user.is_admin,
+        roles: user.roles
       }
     });
   } catch (error) {
+    console.error('Set admin error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Admin: Sign a user out of every device
+app.post('/api/admin/revoke-sessions/:userId', requirePermission('users:suspend'), async (req, res) => {
+  try {
+    const userId = sanitizeInt(req.params.userId);
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+
+    const userCheck = await pool.query('SELECT id, username FROM users WHERE id = $1', [userId]);
+    if (userCheck.rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    // Only those who can manage admins may sign owners and admins out
+    const targetRoles = await getUserRoles(pool, userId);
+    if (targetRoles.some(role => ADMIN_ROLES.includes(role)) && !req.permissions.includes('roles:manage-admins')) {
+      return res.status(403).json({
+        success: false,
+        code: 'permission_denied',
+        message: 'Permission required: roles:manage-admins'
+      });
+    }
+
+    const revokedCount = await withTransaction(pool, async (client) => {
+      const count = await revokeAllUserSessions(client, userId, 'admin_revoked');
+      await recordAudit(client, req, {
+        action: 'user.sessions.revoke',
+        targetType: 'user',
+        targetId: userId,
+        after: { revokedCount: count }
+      });
+      return count;
+    });
+    console.log(`Admin ${req.adminId} revoked ${revokedCount} session(s) for user ${userId}`);
+
+    res.json({
+      success: true,
+      message: `Signed ${userCheck.rows[0].username} out of all devices`,
+      revokedCount
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// Create announcement (admin only - uses JWT authentication)
-app.post('/api/announcements', requireAdmin, async (req, res) => {
+/**
+ * Format a user from services/userManagement.js for admin responses
+ */
+function formatManagedUser(user) {
+  let status = 'active';
+  if (user.deleted_at) status = 'deleted';
+  else if (user.is_suspended) status = 'suspended';
+  else if (!user.is_approved) status = user.rejected_at ? 'rejected' : 'pending';
+
+  return {
+    id: user.id.toString(),
+    email: user.email,
+    username: user.username,
+    authProvider: user.auth_provider,
+    twitterHandle: user.twitter_handle,
+    githubHandle: user.github_handle,
+    status,
+    isApproved: user.is_approved,
+    isAdmin: user.is_admin,
+    roles: user.roles,
+    emailVerified: user.email_verified,
+    suspendedUntil: user.is_suspended ? user.suspended_until : null,
+    suspensionReason: user.is_suspended ? user.suspension_reason : null,
+    deletedAt: user.deleted_at,
+    createdAt: user.created_at
+  };
+}
+
+/**
+ * The suspension-related fields of a managed user, for the audit log
+ */
+function suspensionState(user) {
+  const { status, suspendedUntil, suspensionReason } = formatManagedUser(user);
+  return { status, suspendedUntil, suspensionReason };
+}
+
+// Admin: Search and filter users
+app.get('/api/admin/users', requirePermission('users:view'), async (req, res) => {
   try {
-    const { message, startsAt, expiresAt, imageUrl } = req.body;
-    const adminUserId = req.adminId; // Set by requireAdmin middleware
+    const { q, status, role, provider } = req.query;
 
-    if (!message || typeof message !== 'string' || message.trim().length === 0) {
-      return res.status(400).json({ success: false, message: 'Message is required' });
+    if (q !== undefined && (typeof q !== 'string' || q.length > 100)) {
+      return res.status(400).json({ success: false, message: 'Invalid search query' });
+    }
+    if (status !== undefined && !USER_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `Status must be one of: ${USER_STATUSES.join(', ')}` });
     }
-    if (message.length > 1000) {
-      return res.status(400).json({ success: false, message: 'Message too long (max 1000 chars)' });
+    if (role !== undefined && !(role === 'none' || ROLES.includes(role))) {
+      return res.status(400).json({ success: false, message: `Role must be one of: ${ROLES.join(', ')}, none` });
     }
+    if (provider !== undefined && (typeof provider !== 'string' || !(provider === 'email' || getProvider(provider)))) {
+      return res.status(400).json({ success: false, message: 'Unknown provider' });
+    }
+
+    let limit = sanitizeInt(req.query.limit) || 50;
+    limit = Math.min(Math.max(1, limit), 100);
+
+    const before = req.query.before === undefined ? null : sanitizeInt(req.query.before);
+    if (req.query.before !== undefined && !before) {
+      return res.status(400).json({ success: false, message: 'Invalid cursor' });
+    }
+
+    const users = await listUsers(pool, {
+      search: q?.trim(),
+      status,
+      role,
+      provider,
+      limit,
+      before
+    });
 
-    // Validate imageUrl if provided (must be a data URL or https URL)
-    if (imageUrl && typeof imageUrl === 'string') {
-      if (!imageUrl.startsWith('data:image/') && !imageUrl.startsWith('https://')) {
-        return res.status(400).json({ success: false, message: 'Invalid image URL format' });
+    res.json({
+      success: true,
+      users: users.map(formatManagedUser),
+      nextCursor: users.length === limit ? users[users.length - 1].id.toString() : null
+    });
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Admin: Suspend a user, optionally until a given time
+app.post('/api/admin/suspend/:userId', requirePermission('users:suspend'), async (req, res) => {
+  try {
+    const userId = sanitizeInt(req.params.userId);
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+
+    const { suspension, error } = parseSuspension(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const result = await withTransaction(pool, async (client) => {
+      const outcome = await suspendUser(client, { userId, ...suspension, adminId: req.adminId });
+      if (outcome.user) {
+        await recordAudit(client, req, {
+          action: 'user.suspend',
+          targetType: 'user',
+          targetId: userId,
+          before: suspensionState(outcome.previousUser),
+          after: suspensionState(outcome.user)
+        });
       }
+      return outcome;
+    });
+    if (result.notFound) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
     }
 
-    // Validate dates if provided
-    let startsAtDate = startsAt ? new Date(startsAt) : new Date();
-    let expiresAtDate = expiresAt ? new Date(expiresAt) : null;
+    console.log(`Admin ${req.adminId} suspended user ${userId}`);
+    res.json({ success: true, message: 'User suspended', user: formatManagedUser(result.user) });
+  } catch (error) {
+    console.error('Suspend user error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    if (startsAt && isNaN(startsAtDate.getTime())) {
-      return res.status(400).json({ success: false, message: 'Invalid startsAt date format' });
+// Admin: Lift a user's suspension
+app.post('/api/admin/unsuspend/:userId', requirePermission('users:suspend'), async (req, res) => {
+  try {
+    const userId = sanitizeInt(req.params.userId);
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
     }
-    if (expiresAt && isNaN(expiresAtDate.getTime())) {
-      return res.status(400).json({ success: false, message: 'Invalid expiresAt date format' });
+
+    const result = await withTransaction(pool, async (client) => {
+      const outcome = await unsuspendUser(client, userId);
+      if (outcome.user) {
+        await recordAudit(client, req, {
+          action: 'user.unsuspend',
+          targetType: 'user',
+          targetId: userId,
+          before: suspensionState(outcome.previousUser),
+          after: suspensionState(outcome.user)
+        });
+      }
+      return outcome;
+    });
+    if (result.notFound) {
+      return res.status(404).json({ success: false, message: 'User not found' });
     }
 
-    // Delete all existing announcements (only keep one at a time)
-    await pool.query('DELETE FROM announcements');
+    res.json({ success: true, message: 'User unsuspended', user: formatManagedUser(result.user) });
+  } catch (error) {
+    console.error('Unsuspend user error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    // Create announcement (sanitize message)
-    const sanitizedMessage = message.trim();
-    const result = await pool.query(
-      `INSERT INTO announcements (message, created_by, starts_at, expires_at, image_url)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING id, message, created_at, starts_at, expires_at, image_url`,
-      [sanitizedMessage, adminUserId, startsAtDate, expiresAtDate, imageUrl || null]
-    );
+// Admin: Remove a user's admin rights
+app.post('/api/admin/revoke-admin/:userId', requirePermission('roles:manage-admins'), async (req, res) => {
+  try {
+    const userId = sanitizeInt(req.params.userId);
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+
+    const result = await withTransaction(pool, async (client) => {
+      const outcome = await revokeRoles(client, { userId, roles: ['owner', 'admin'] });
+      if (outcome.roles) {
+        await recordAudit(client, req, {
+          action: 'role.revoke',
+          targetType: 'user',
+          targetId: userId,
+          before: { roles: outcome.previousRoles },
+          after: { roles: outcome.roles }
+        });
+      }
+      return outcome;
+    });
+    if (result.notFound) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    console.log(`Admin ${req.adminId} revoked admin rights from user ${userId}`);
+    res.json({
+      success: true,
+      message: 'User is no longer admin',
+      user: formatManagedUser(await getManagedUser(pool, userId))
+    });
+  } catch (error) {
+    console.error('Revoke admin error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    const announcement = result.rows[0];
+// Admin: Soft-delete a user
+app.delete('/api/admin/users/:userId', requirePermission('users:delete'), async (req, res) => {
+  try {
+    const userId = sanitizeInt(req.params.userId);
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
 
-    // Send push notification to all users subscribed to 'announcements' topic
-    await sendPushToTopic('announcements', 'New Announcement', message, {
-      announcementId: String(announcement.id)
+    const result = await withTransaction(pool, async (client) => {
+      const outcome = await softDeleteUser(client, { userId, adminId: req.adminId });
+      if (outcome.user) {
+        await recordAudit(client, req, {
+          action: 'user.delete',
+          targetType: 'user',
+          targetId: userId,
+          before: { status: formatManagedUser(outcome.previousUser).status, roles: outcome.previousUser.roles },
+          after: { status: 'deleted', roles: [] }
+        });
+      }
+      return outcome;
     });
+    if (result.notFound) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    console.log(`Admin ${req.adminId} deleted user ${userId}`);
+    res.json({ success: true, message: 'User deleted', user: formatManagedUser(result.user) });
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Admin: List roles and the permissions each one grants
+app.get('/api/admin/roles', requirePermission('users:view'), (req, res) => {
+  res.json({
+    success: true,
+    roles: ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] }))
+  });
+});
+
+// Admin: Grant a role (owner and admin can only be granted by owners)
+app.post('/api/admin/users/:userId/roles', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const userId = sanitizeInt(req.params.userId);
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const requiredPermission = getPermissionToManage(role);
+    if (!req.permissions.includes(requiredPermission)) {
+      return res.status(403).json({
+        success: false,
+        code: 'permission_denied',
+        message: `Permission required: ${requiredPermission}`
+      });
+    }
+
+    const result = await withTransaction(pool, async (client) => {
+      const outcome = await grantRole(client, { userId, role, grantedBy: req.adminId });
+      if (outcome.roles) {
+        await recordAudit(client, req, {
+          action: 'role.grant',
+          targetType: 'user',
+          targetId: userId,
+          before: { roles: outcome.previousRoles },
+          after: { roles: outcome.roles }
+        });
+      }
+      return outcome;
+    });
+    if (result.notFound) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    console.log(`Admin ${req.adminId} granted role ${role} to user ${userId}`);
+    res.json({ success: true, message: `Granted ${role} role`, roles: result.roles });
+  } catch (error) {
+    console.error('Grant role error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Admin: Revoke a role
+app.delete('/api/admin/users/:userId/roles/:role', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const userId = sanitizeInt(req.params.userId);
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+
+    const { role } = req.params;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const requiredPermission = getPermissionToManage(role);
+    if (!req.permissions.includes(requiredPermission)) {
+      return res.status(403).json({
+        success: false,
+        code: 'permission_denied',
+        message: `Permission required: ${requiredPermission}`
+      });
+    }
+
+    const result = await withTransaction(pool, async (client) => {
+      const outcome = await revokeRoles(client, { userId, roles: [role] });
+      if (outcome.roles) {
+        await recordAudit(client, req, {
+          action: 'role.revoke',
+          targetType: 'user',
+          targetId: userId,
+          before: { roles: outcome.previousRoles },
+          after: { roles: outcome.roles }
+        });
+      }
+      return outcome;
+    });
+    if (result.notFound) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    console.log(`Admin ${req.adminId} revoked role ${role} from user ${userId}`);
+    res.json({ success: true, message: `Revoked ${role} role`, roles: result.roles });
+  } catch (error) {
+    console.error('Revoke role error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// The current user's roles and permissions (for showing admin features)
+app.get('/api/users/me/roles', requireAuth, async (req, res) => {
+  try {
+    const roles = await getUserRoles(pool, req.user.userId);
+    res.json({ success: true, roles, permissions: getPermissions(roles) });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Admin: Get application settings
+app.get('/api/admin/settings', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    res.json({ success: true, settings: await getAllSettings(pool) });
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Admin: Update application settings (partial update)
+app.put('/api/admin/settings', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const validationError = validateSettingsUpdate(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    const changed = Object.keys(req.body);
+    const settings = await withTransaction(pool, async (client) => {
+      const previous = await getAllSettings(client);
+      const updated = await updateSettings(client, req.body, req.adminId);
+      await recordAudit(client, req, {
+        action: 'settings.update',
+        targetType: 'settings',
+        before: Object.fromEntries(changed.map(name => [name, previous[name]])),
+        after: Object.fromEntries(changed.map(name => [name, updated[name]]))
+      });
+      return updated;
+    });
+    console.log(`Admin ${req.adminId} updated settings: ${changed.join(', ')}`);
+
+    res.json({ success: true, message: 'Settings updated', settings });
+  } catch (error) {
+    console.error('Update settings error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Admin: Search the audit log (?format=csv downloads the matching entries)
+app.get('/api/admin/audit', requirePermission('audit:view'), async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (format !== 'json' && format !== 'csv') {
+      return res.status(400).json({ success: false, message: 'Format must be json or csv' });
+    }
+
+    const { action, targetType, targetId } = req.query;
+    for (const value of [action, targetType, targetId]) {
+      if (value !== undefined && (typeof value !== 'string' || value.length > 100)) {
+        return res.status(400).json({ success: false, message: 'Invalid filter' });
+      }
+    }
+
+    const actorId = req.query.actorId === undefined ? null : sanitizeInt(req.query.actorId);
+    if (req.query.actorId !== undefined && !actorId) {
+      return res.status(400).json({ success: false, message: 'Invalid actor ID' });
+    }
+
+    const since = parseDateQuery(req.query.since);
+    const until = parseDateQuery(req.query.until);
+    if (since === null || until === null) {
+      return res.status(400).json({ success: false, message: 'Invalid date' });
+    }
+
+    // Exports may be larger than a page
+    const maxLimit = format === 'csv' ? 10000 : 100;
+    let limit = sanitizeInt(req.query.limit) || (format === 'csv' ? 1000 : 50);
+    limit = Math.min(Math.max(1, limit), maxLimit);
+
+    const before = req.query.before === undefined ? null : sanitizeInt(req.query.before);
+    if (req.query.before !== undefined && !before) {
+      return res.status(400).json({ success: false, message: 'Invalid cursor' });
+    }
+
+    const entries = await listAuditEntries(pool, {
+      actorId, action, targetType, targetId, since, until, limit, before
+    });
+
+    if (format === 'csv') {
+      await recordAudit(pool, req, {
+        action: 'audit.export',
+        after: { filters: { actorId, action, targetType, targetId, since, until, before }, count: entries.length }
+      });
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="karass-audit.csv"');
+      return res.send(auditToCsv(entries));
+    }
+
+    res.json({
+      success: true,
+      entries: entries.map(entry => ({
+        id: entry.id.toString(),
+        createdAt: entry.created_at,
+        actor: entry.actor_id ? { id: entry.actor_id.toString(), username: entry.actor_username } : null,
+        action: entry.action,
+        targetType: entry.target_type,
+        targetId: entry.target_id,
+        before: entry.before,
+        after: entry.after,
+        ipAddress: entry.ip_address,
+        requestId: entry.request_id
+      })),
+      nextCursor: entries.length === limit ? entries[entries.length - 1].id.toString() : null
+    });
+  } catch (error) {
+    console.error('List audit log error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+/**
+ * Format an announcement's audience for API responses
+ */
+function formatAudience(row) {
+  const audience = { type: row.audience_type };
+  if (row.audience_type === 'approved_after') audience.approvedAfter = row.audience_approved_after;
+  if (row.audience_type === 'met_user') audience.userId = row.audience_user_id?.toString() ?? null;
+  if (row.audience_type === 'users') audience.userIds = row.audience_user_ids.map(id => id.toString());
+  return audience;
+}
+
+/**
+ * Format an announcement row for API responses
+ * @param {boolean} [includeAdminFields] - Status, audience and edit details for the archive
+ */
+function formatAnnouncement(row, includeAdminFields = false) {
+  return {
+    id: row.id.toString(),
+    message: row.message,
+    createdAt: row.created_at,
+    startsAt: row.starts_at,
+    expiresAt: row.expires_at,
+    imageUrl: row.image_url,
+    pinned: row.pinned,
+    priority: row.priority,
+    createdBy: row.created_by_username,
+    ...(includeAdminFields && { status: row.status, updatedAt: row.updated_at, audience: formatAudience(row) })
+  };
+}
+
+/**
+ * The announcement fields worth keeping in the audit log
+ */
+function announcementAuditState(row) {
+  return {
+    message: row.message,
+    startsAt: row.starts_at,
+    expiresAt: row.expires_at,
+    pinned: row.pinned,
+    priority: row.priority,
+    audience: formatAudience(row),
+    // Uploaded images are data URLs; don't copy them into the log
+    imageUrl: row.image_url?.startsWith('data:') ? '(uploaded image)' : row.image_url
+  };
+}
+
+// Create announcement
+app.post('/api/announcements', requirePermission('announcements:create'), async (req, res) => {
+  try {
+    const adminUserId = req.adminId; // Set by requirePermission middleware
+
+    const { values, error } = parseAnnouncementInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    // Optionally require a verified email before posting
+    if (await getSetting(pool, 'requireVerifiedEmailForPosting')) {
+      const poster = await pool.query('SELECT email, email_verified FROM users WHERE id = $1', [adminUserId]);
+      if (poster.rows[0]?.email && !poster.rows[0].email_verified) {
+        return res.status(403).json({ success: false, message: 'Verify your email address before posting' });
+      }
+    }
+
+    const { announcement, error: audienceError } = await withTransaction(pool, async (client) => {
+      const result = await createAnnouncement(client, values, adminUserId);
+      if (result.announcement) {
+        await recordAudit(client, req, {
+          action: 'announcement.create',
+          targetType: 'announcement',
+          targetId: result.announcement.id,
+          after: announcementAuditState(result.announcement)
+        });
+      }
+      return result;
+    });
+    if (audienceError) {
+      return res.status(400).json({ success: false, message: audienceError });
+    }
+
+    // The push goes out once the announcement starts (right away if it already has)
+    jobRunner.wake();
 
     res.status(201).json({
       success: true,
       message: 'Announcement created',
-      announcement: {
-        id: String(announcement.id),
-        message: announcement.message,
-        createdAt: announcement.created_at,
-        startsAt: announcement.starts_at,
-        expiresAt: announcement.expires_at,
-        imageUrl: announcement.image_url
-      }
+      announcement: formatAnnouncement(announcement)
     });
   } catch (error) {
     console.error('Create announcement error:', error);
@@ -995,38 +1940,132 @@ app.post('/api/announcements', requireAdmin, async (req, res) => {
   }
 });
 
-// Get announcements (only active ones - started and not expired)
-app.get('/api/announcements', async (req, res) => {
+// Edit an announcement (only the fields sent are changed)
+app.patch('/api/announcements/:id', requirePermission('announcements:manage'), async (req, res) => {
+  try {
+    const announcementId = sanitizeInt(req.params.id);
+    if (!announcementId) {
+      return res.status(400).json({ success: false, message: 'Invalid announcement ID' });
+    }
+
+    const { values, error } = parseAnnouncementInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({ success: false, message: 'No changes provided' });
+    }
+
+    const result = await withTransaction(pool, async (client) => {
+      const outcome = await updateAnnouncement(client, announcementId, values, req.adminId);
+      if (outcome.announcement) {
+        await recordAudit(client, req, {
+          action: 'announcement.update',
+          targetType: 'announcement',
+          targetId: announcementId,
+          before: announcementAuditState(outcome.previous),
+          after: announcementAuditState(outcome.announcement)
+        });
+      }
+      return outcome;
+    });
+    if (result.notFound) {
+      return res.status(404).json({ success: false, message: 'Announcement not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: 'Announcement updated',
+      announcement: formatAnnouncement(result.announcement, true)
+    });
+  } catch (error) {
+    console.error('Update announcement error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Delete an announcement
+app.delete('/api/announcements/:id', requirePermission('announcements:manage'), async (req, res) => {
+  try {
+    const announcementId = sanitizeInt(req.params.id);
+    if (!announcementId) {
+      return res.status(400).json({ success: false, message: 'Invalid announcement ID' });
+    }
+
+    const deleted = await withTransaction(pool, async (client) => {
+      const announcement = await deleteAnnouncement(client, announcementId);
+      if (announcement) {
+        await recordAudit(client, req, {
+          action: 'announcement.delete',
+          targetType: 'announcement',
+          targetId: announcementId,
+          before: announcementAuditState(announcement)
+        });
+      }
+      return announcement;
+    });
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Announcement not found' });
+    }
+
+    res.json({ success: true, message: 'Announcement deleted' });
+  } catch (error) {
+    console.error('Delete announcement error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Get announcements (only active ones - started and not expired - that the caller is in the audience of)
+app.get('/api/announcements', optionalAuth, async (req, res) => {
   try {
     // Validate and limit the limit parameter (max 100)
     let limit = sanitizeInt(req.query.limit) || 20;
     limit = Math.min(Math.max(1, limit), 100);
 
-    // Only return announcements that have started and haven't expired
-    const result = await pool.query(`
-      SELECT a.id, a.message, a.created_at, a.starts_at, a.expires_at, a.image_url, u.username as created_by_username
-      FROM announcements a
-      LEFT JOIN users u ON a.created_by = u.id
-      WHERE a.starts_at <= NOW()
-        AND (a.expires_at IS NULL OR a.expires_at > NOW())
-      ORDER BY a.created_at DESC
-      LIMIT $1
-    `, [limit]);
+    // Signed-in users also see announcements targeted at them
+    const rows = await listActiveAnnouncements(pool, { limit, userId: req.user?.userId });
 
     res.json({
       success: true,
-      announcements: result.rows.map(row => ({
-        id: row.id.toString(),
-        message: row.message,
-        createdAt: row.created_at,
-        startsAt: row.starts_at,
-        expiresAt: row.expires_at,
-        imageUrl: row.image_url,
-        createdBy: row.created_by_username
-      }))
+      announcements: rows.map(row => formatAnnouncement(row))
+    });
+  } catch (error) {
+    console.error('Get announcements error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Admin: Every announcement, including scheduled and expired ones
+app.get('/api/admin/announcements', requirePermission('announcements:manage'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !ANNOUNCEMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${ANNOUNCEMENT_STATUSES.join(', ')}`
+      });
+    }
+
+    let limit = sanitizeInt(req.query.limit) || 50;
+    limit = Math.min(Math.max(1, limit), 100);
+
+    const before = req.query.before === undefined ? null : sanitizeInt(req.query.before);
+    if (req.query.before !== undefined && !before) {
+      return res.status(400).json({ success: false, message: 'Invalid cursor' });
+    }
+
+    const rows = await listAnnouncementArchive(pool, { status, limit, before });
+
+    res.json({
+      success: true,
+      announcements: rows.map(row => formatAnnouncement(row, true)),
+      nextCursor: rows.length === limit ? rows[rows.length - 1].id.toString() : null
     });
   } catch (error) {
-    console.error('Get announcements error:', error);
+    console.error('List announcement archive error:', error);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
@@ -1036,7 +2075,7 @@ app.get('/api/announcements', async (req, res) => {
 // ============================================
 
 // Admin: Set a user as the current beacon
-app.post('/api/beacon/set/:userId', requireAdmin, async (req, res) => {
+app.post('/api/beacon/set/:userId', requirePermission('beacon:manage'), async (req, res) => {
   try {
     const userId = sanitizeInt(req.params.userId);
     if (!userId) {
@@ -1049,13 +2088,35 @@ app.post('/api/beacon/set/:userId', requireAdmin, async (req, res) => {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
-    // Clear all existing beacon assignments
-    await pool.query('UPDATE users SET is_current_beacon = FALSE');
+    const user = userCheck.rows[0];
+    await withTransaction(pool, async (client) => {
+      // Clear all existing beacon assignments
+      const previous = await client.query(
+        'UPDATE users SET is_current_beacon = FALSE WHERE is_current_beacon = TRUE RETURNING id, username'
+      );
 
-    // Set the new beacon user
-    await pool.query('UPDATE users SET is_current_beacon = TRUE WHERE id = $1', [userId]);
+      // Set the new beacon user
+      await client.query('UPDATE users SET is_current_beacon = TRUE WHERE id = $1', [userId]);
 
-    const user = userCheck.rows[0];
+      // IDs handed out before the change must not resolve any more
+      await revokeAllBeaconIds(client);
+
+      if (!previous.rows.some(row => row.id === userId)) {
+        await createNotification(client, {
+          userId,
+          type: 'beacon_assigned',
+          title: 'You are the beacon',
+          body: 'You have been assigned the Karass beacon.'
+        });
+      }
+      await recordAudit(client, req, {
+        action: 'beacon.set',
+        targetType: 'user',
+        targetId: userId,
+        before: { beaconUsers: previous.rows.map(row => ({ id: String(row.id), username: row.username })) },
+        after: { beaconUsers: [{ id: String(user.id), username: user.username }] }
+      });
+    });
     console.log(`Beacon assigned to user: ${user.username} (ID: ${userId})`);
 
     res.json({
@@ -1115,9 +2176,14 @@ app.get('/api/beacon/status', requireAuth, async (req, res) => {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
 
+    const isCurrentBeacon = result.rows[0].is_current_beacon || false;
+
     res.json({
       success: true,
-      isCurrentBeacon: result.rows[0].is_current_beacon || false
+      isCurrentBeacon,
+      // The beacon user advertises this ID and polls again before validUntil
+      beaconId: isCurrentBeacon ? await getCurrentBeaconId(pool, userId) : null,
+      rotationSeconds: BEACON_ID_TTL_SECONDS
     });
   } catch (error) {
     console.error('Get beacon status error:', error);
@@ -1125,10 +2191,48 @@ app.get('/api/beacon/status', requireAuth, async (req, res) => {
   }
 });
 
+// Resolve a sighted beacon ID to the beacon user (requires auth)
+app.post('/api/beacon/verify', requireAuth, async (req, res) => {
+  try {
+    const { beaconId } = req.body;
+
+    if (!beaconId || typeof beaconId !== 'string') {
+      return res.status(400).json({ success: false, message: 'Beacon ID is required' });
+    }
+
+    const beacon = await resolveBeaconId(pool, beaconId);
+    if (!beacon) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired beacon ID' });
+    }
+
+    res.json({
+      success: true,
+      beaconUser: {
+        id: beacon.userId.toString(),
+        username: beacon.username
+      },
+      validUntil: beacon.validUntil
+    });
+  } catch (error) {
+    console.error('Verify beacon error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // Admin: Clear current beacon (no one can beacon)
-app.post('/api/beacon/clear', requireAdmin, async (req, res) => {
+app.post('/api/beacon/clear', requirePermission('beacon:manage'), async (req, res) => {
   try {
-    await pool.query('UPDATE users SET is_current_beacon = FALSE');
+    await withTransaction(pool, async (client) => {
+      const previous = await client.query(
+        'UPDATE users SET is_current_beacon = FALSE WHERE is_current_beacon = TRUE RETURNING id, username'
+      );
+      await revokeAllBeaconIds(client);
+      await recordAudit(client, req, {
+        action: 'beacon.clear',
+        before: { beaconUsers: previous.rows.map(row => ({ id: String(row.id), username: row.username })) },
+        after: { beaconUsers: [] }
+      });
+    });
 
     console.log('Beacon cleared - no active beacon');
     res.json({
@@ -1141,13 +2245,144 @@ app.post('/api/beacon/clear', requireAdmin, async (req, res) => {
   }
 });
 
+// ============================================
+// Encounter Endpoints
+// ============================================
+
+/**
+ * Format an encounter row for API responses
+ */
+function formatEncounter(row) {
+  return {
+    id: row.id.toString(),
+    beaconId: row.beacon_id,
+    observedUser: row.observed_user_id
+      ? { id: row.observed_user_id.toString(), username: row.observed_username || null }
+      : null,
+    firstSeenAt: row.first_seen_at,
+    lastSeenAt: row.last_seen_at,
+    sightingCount: row.sighting_count,
+    lastRssi: row.last_rssi,
+    maxRssi: row.max_rssi
+  };
+}
+
+// Report a detected Karass beacon
+app.post('/api/encounters', requireAuth, async (req, res) => {
+  try {
+    const { sighting, error } = parseSighting(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const result = await recordSighting(pool, req.user.userId, sighting);
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    res.status(result.merged ? 200 : 201).json({
+      success: true,
+      deduplicated: result.merged,
+      encounter: formatEncounter(result.encounter),
+      ...(await getUnlockState(pool, req.user.userId))
+    });
+  } catch (error) {
+    console.error('Record encounter error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// List the current user's encounters and unlock state
+app.get('/api/users/me/encounters', requireAuth, async (req, res) => {
+  try {
+    let limit = sanitizeInt(req.query.limit) || 50;
+    limit = Math.min(Math.max(1, limit), 100);
+
+    const before = req.query.before === undefined ? null : sanitizeInt(req.query.before);
+    if (req.query.before !== undefined && !before) {
+      return res.status(400).json({ success: false, message: 'Invalid cursor' });
+    }
+
+    const rows = await listEncounters(pool, req.user.userId, { limit, before });
+    const { unlocked, unlockedAt } = await getUnlockState(pool, req.user.userId);
+
+    res.json({
+      success: true,
+      unlocked,
+      unlockedAt,
+      encounters: rows.map(formatEncounter),
+      nextCursor: rows.length === limit ? rows[rows.length - 1].id.toString() : null
+    });
+  } catch (error) {
+    console.error('List encounters error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============================================
+// Lineage Endpoints
+// ============================================
+
+// The current user's sponsor chain and the people they unlocked
+app.get('/api/users/me/lineage', requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const [sponsorChain, unlocked] = await Promise.all([
+      getSponsorChain(pool, userId),
+      getSponsoredUsers(pool, userId)
+    ]);
+
+    res.json({
+      success: true,
+      sponsorChain: sponsorChain.map(row => ({
+        id: row.id.toString(),
+        username: row.username,
+        unlockedAt: row.unlocked_at
+      })),
+      unlocked: unlocked.map(row => ({
+        id: row.id.toString(),
+        username: row.username,
+        unlockedAt: row.unlocked_at,
+        descendantCount: row.descendant_count
+      }))
+    });
+  } catch (error) {
+    console.error('Get lineage error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Admin: Export the whole lineage graph (?format=json or ?format=dot)
+app.get('/api/admin/lineage', requirePermission('users:view'), async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (format !== 'json' && format !== 'dot') {
+      return res.status(400).json({ success: false, message: 'Format must be json or dot' });
+    }
+
+    const graph = await getLineageGraph(pool);
+    await recordAudit(pool, req, { action: 'lineage.export', after: { format, nodes: graph.nodes.length } });
+
+    if (format === 'dot') {
+      res.setHeader('Content-Type', 'text/vnd.graphviz; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="karass-lineage.dot"');
+      return res.send(toDot(graph));
+    }
+
+    res.json({ success: true, ...graph });
+  } catch (error) {
+    console.error('Export lineage error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // ============================================
 // Image Upload Endpoint
 // ============================================
 
 // Admin: Upload an image (stores as base64 data URL)
 // Note: For production, consider using cloud storage (S3, Cloudinary, etc.)
-app.post('/api/upload/image', requireAdmin, express.raw({ type: 'image/*', limit: '5mb' }), async (req, res) => {
+app.post('/api/upload/image', requirePermission('announcements:create'), express.raw({ type: 'image/*', limit: '5mb' }), async (req, res) => {
   try {
     if (!req.body || req.body.length === 0) {
       return res.status(400).json({ success: false, message: 'No image data provided' });
@@ -1165,6 +2400,15 @@ app.post('/api/upload/image', requireAdmin, express.raw({ type: 'image/*', limit
     const base64 = req.body.toString('base64');
     const imageUrl = `data:${contentType};base64,${base64}`;
 
+    await recordAudit(pool, req, {
+      action: 'image.upload',
+      after: {
+        contentType,
+        bytes: req.body.length,
+        sha256: crypto.createHash('sha256').update(req.body).digest('hex')
+      }
+    });
+
     res.json({
       success: true,
       imageUrl
@@ -1175,7 +2419,241 @@ app.post('/api/upload/image', requireAdmin, express.raw({ type: 'image/*', limit
   }
 });
 
+// ============================================
+// Session Management Endpoints
+// ============================================
+
+// List the current user's active sessions (devices)
+app.get('/api/users/me/sessions', requireAuth, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(pool, req.user.userId);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session.id,
+        deviceName: session.device_name,
+        platform: session.platform,
+        ipAddress: session.ip_address,
+        userAgent: session.user_agent,
+        createdAt: session.created_at,
+        lastSeenAt: session.last_used_at,
+        isCurrent: session.id === req.user.sid
+      }))
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Sign out one of the current user's sessions (e.g. a lost phone)
+app.delete('/api/users/me/sessions/:sessionId', requireAuth, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const revoked = await revokeUserSession(pool, req.user.userId, sessionId);
+    if (!revoked) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    res.json({ success: true, message: 'Session signed out' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============================================
+// Linked Identity Endpoints
+// ============================================
+
+// List the current user's sign-in methods
+app.get('/api/users/me/identities', requireAuth, async (req, res) => {
+  try {
+    const { hasPassword, identities } = await listIdentities(pool, req.user.userId);
+
+    res.json({
+      success: true,
+      hasPassword,
+      identities: identities.map(identity => ({
+        provider: identity.provider,
+        providerUserId: identity.provider_user_id,
+        handle: identity.handle,
+        email: identity.email,
+        linkedAt: identity.created_at,
+        lastUsedAt: identity.last_used_at
+      }))
+    });
+  } catch (error) {
+    console.error('List identities error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Unlink a provider from the current user (link via /api/auth/:provider/link)
+app.delete('/api/users/me/identities/:provider', requireAuth, async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ success: false, message: 'Unknown OAuth provider' });
+    }
+
+    const result = await removeIdentity(pool, req.user.userId, provider);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    res.json({ success: true, message: `${provider.displayName} account unlinked` });
+  } catch (error) {
+    console.error('Unlink identity error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============================================
+// Notification Inbox Endpoints
+// ============================================
+
+const MAX_NOTIFICATIONS_MARKED = 100;
+
+/**
+ * Format an inbox notification for API responses
+ */
+function formatNotification(row) {
+  return {
+    id: row.id.toString(),
+    type: row.type,
+    title: row.title,
+    body: row.body,
+    data: row.data,
+    read: row.read_at !== null,
+    readAt: row.read_at,
+    createdAt: row.created_at
+  };
+}
+
+// List the current user's notifications, newest first (?unread=true for unread only)
+app.get('/api/users/me/notifications', requireAuth, async (req, res) => {
+  try {
+    let limit = sanitizeInt(req.query.limit) || 50;
+    limit = Math.min(Math.max(1, limit), 100);
+
+    const before = req.query.before === undefined ? null : sanitizeInt(req.query.before);
+    if (req.query.before !== undefined && !before) {
+      return res.status(400).json({ success: false, message: 'Invalid cursor' });
+    }
+
+    const rows = await listNotifications(pool, req.user.userId, {
+      limit,
+      before,
+      unreadOnly: req.query.unread === 'true'
+    });
+
+    res.json({
+      success: true,
+      notifications: rows.map(formatNotification),
+      unreadCount: await countUnreadNotifications(pool, req.user.userId),
+      nextCursor: rows.length === limit ? rows[rows.length - 1].id.toString() : null
+    });
+  } catch (error) {
+    console.error('List notifications error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Mark some of the current user's notifications read
+app.post('/api/users/me/notifications/read', requireAuth, async (req, res) => {
+  try {
+    const { ids } = req.body;
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_NOTIFICATIONS_MARKED) {
+      return res.status(400).json({
+        success: false,
+        message: `ids must be a list of 1 to ${MAX_NOTIFICATIONS_MARKED} notification IDs`
+      });
+    }
+
+    const notificationIds = ids.map(id => sanitizeInt(id));
+    if (notificationIds.some(id => !id)) {
+      return res.status(400).json({ success: false, message: 'Invalid notification ID' });
+    }
+
+    const marked = await markNotificationsRead(pool, req.user.userId, notificationIds);
+
+    res.json({
+      success: true,
+      marked,
+      unreadCount: await countUnreadNotifications(pool, req.user.userId)
+    });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Mark all of the current user's notifications read
+app.post('/api/users/me/notifications/read-all', requireAuth, async (req, res) => {
+  try {
+    const marked = await markAllNotificationsRead(pool, req.user.userId);
+
+    res.json({ success: true, marked, unreadCount: 0 });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// ============================================
+// Push Notification Endpoints
+// ============================================
+
+/**
+ * Format a registered device for API responses (the token itself is not echoed)
+ */
+function formatDevice(row) {
+  return {
+    tokenType: row.token_type,
+    platform: row.platform,
+    appVersion: row.app_version,
+    registeredAt: row.created_at,
+    lastSeenAt: row.last_seen_at
+  };
+}
+
+// Register this device for push notifications (call on every app start)
+app.post('/api/users/me/devices', requireAuth, async (req, res) => {
+  try {
+    const { device, error } = parseDeviceRegistration(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const row = await registerDeviceToken(pool, { userId: req.user.userId, ...device });
+
+    res.json({ success: true, message: 'Device registered', device: formatDevice(row) });
+  } catch (error) {
+    console.error('Register device error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Stop pushing to a device (e.g. on sign-out); the token is URL-encoded in the path
+app.delete('/api/users/me/devices/:token', requireAuth, async (req, res) => {
+  try {
+    const removed = await unregisterDeviceToken(pool, { userId: req.user.userId, token: req.params.token });
+    if (!removed) {
+      return res.status(404).json({ success: false, message: 'Device not found' });
+    }
+
+    res.json({ success: true, message: 'Device unregistered' });
+  } catch (error) {
+    console.error('Unregister device error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // Update FCM token for a user (requires authentication)
+// Kept for older app versions; registers the token like POST /api/users/me/devices
 app.post('/api/users/:userId/fcm-token', requireAuth, async (req, res) => {
   try {
     const { fcmToken } = req.body;
@@ -1191,16 +2669,12 @@ app.post('/api/users/:userId/fcm-token', requireAuth, async (req, res) => {
       return res.status(403).json({ success: false, message: 'Cannot update FCM token for another user' });
     }
 
-    if (!fcmToken || typeof fcmToken !== 'string') {
-      return res.status(400).json({ success: false, message: 'FCM token is required' });
-    }
-
-    // FCM token validation - must be a reasonable length
-    if (fcmToken.length > 500) {
-      return res.status(400).json({ success: false, message: 'Invalid FCM token format' });
+    const { device, error } = parseDeviceRegistration({ token: fcmToken });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
     }
 
-    await pool.query('UPDATE users SET fcm_token = $1 WHERE id = $2', [fcmToken, userId]);
+    await registerDeviceToken(pool, { userId, ...device });
 
     res.json({ success: true, message: 'FCM token updated' });
   } catch (error) {
@@ -1209,13 +2683,129 @@ app.post('/api/users/:userId/fcm-token', requireAuth, async (req, res) => {
   }
 });
 
-// Health check
+/**
+ * Format an outbox entry for the admin delivery log
+ * Device tokens are shortened; the full token never leaves the server.
+ */
+function formatPushNotification(row) {
+  return {
+    id: row.id.toString(),
+    target: row.target_type === 'topic'
+      ? { type: 'topic', topic: row.target }
+      : { type: 'device', token: `...${row.target.slice(-8)}`, userId: row.user_id?.toString() ?? null },
+    title: row.title,
+    body: row.body,
+    data: row.data,
+    source: row.source,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+    lastStatusCode: row.last_status_code,
+    lastError: row.last_error,
+    fcmMessageId: row.fcm_message_id,
+    createdAt: row.created_at,
+    sentAt: row.sent_at,
+    failedAt: row.failed_at
+  };
+}
+
+// Admin: Push notification delivery log
+app.get('/api/admin/notifications', requirePermission('notifications:manage'), async (req, res) => {
+  try {
+    const { status, source } = req.query;
+    if (status !== undefined && !PUSH_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${PUSH_STATUSES.join(', ')}`
+      });
+    }
+
+    const userId = req.query.userId === undefined ? null : sanitizeInt(req.query.userId);
+    if (req.query.userId !== undefined && !userId) {
+      return res.status(400).json({ success: false, message: 'Invalid user ID' });
+    }
+
+    let limit = sanitizeInt(req.query.limit) || 50;
+    limit = Math.min(Math.max(1, limit), 100);
+
+    const before = req.query.before === undefined ? null : sanitizeInt(req.query.before);
+    if (req.query.before !== undefined && !before) {
+      return res.status(400).json({ success: false, message: 'Invalid cursor' });
+    }
+
+    const rows = await listPushNotifications(pool, {
+      status,
+      source: typeof source === 'string' ? source : undefined,
+      userId,
+      limit,
+      before
+    });
+
+    res.json({
+      success: true,
+      notifications: rows.map(formatPushNotification),
+      nextCursor: rows.length === limit ? rows[rows.length - 1].id.toString() : null
+    });
+  } catch (error) {
+    console.error('List notifications error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Admin: Send a failed push notification again
+app.post('/api/admin/notifications/:id/retry', requirePermission('notifications:manage'), async (req, res) => {
+  try {
+    const notificationId = sanitizeInt(req.params.id);
+    if (!notificationId) {
+      return res.status(400).json({ success: false, message: 'Invalid notification ID' });
+    }
+
+    const result = await withTransaction(pool, async (client) => {
+      const outcome = await retryPushNotification(client, notificationId);
+      if (outcome.push) {
+        await recordAudit(client, req, {
+          action: 'notification.retry',
+          targetType: 'notification',
+          targetId: notificationId,
+          before: { status: 'failed' },
+          after: { status: outcome.push.status }
+        });
+      }
+      return outcome;
+    });
+    if (result.notFound) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    pushWorker.wake();
+
+    res.json({
+      success: true,
+      message: 'Notification queued for retry',
+      notification: formatPushNotification(result.push)
+    });
+  } catch (error) {
+    console.error('Retry notification error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Admin: Push transport configuration
+app.get('/api/admin/push/status', requirePermission('notifications:manage'), (req, res) => {
+  res.json({ success: true, push: getPushStatus() });
+});
+
+// Health check (push details are only shown to admins, at /api/admin/push/status)
 app.get('/api/health', async (req, res) => {
+  const push = getPushStatus().status;
   try {
     await pool.query('SELECT 1');
-    res.json({ status: 'ok', database: 'connected' });
+    res.json({ status: 'ok', database: 'connected', push });
   } catch (error) {
-    res.json({ status: 'error', database: 'disconnected' });
+    res.json({ status: 'error', database: 'disconnected', push });
   }
 });
 
@@ -1224,8 +2814,17 @@ const PORT = process.env.PORT || 3000;
 // Track server instance for graceful shutdown
 let server;
 
-// Initialize DB and start server
-initDb(pool).then(async () => {
+// Check (or apply) schema migrations and start server
+prepareDatabase(pool, { autoApply: process.env.AUTO_MIGRATE === 'true' }).then(async () => {
+  // Copy identities still only stored in legacy users columns
+  await backfillLegacyIdentities(pool, PROVIDERS);
+
+  // Logs and records push configuration problems without blocking startup
+  checkPushConfig();
+
+  jobRunner.start();
+  pushWorker.start();
+
   server = app.listen(PORT, '0.0.0.0', () => {
     console.log(`Karass backend running on http://0.0.0.0:${PORT}`);
     console.log('Access from other devices: http://192.168.5.143:' + PORT);
@@ -1240,6 +2839,10 @@ initDb(pool).then(async () => {
 async function gracefulShutdown(signal) {
   console.log(`\n${signal} received. Shutting down gracefully...`);
 
+  // Let the job and push in progress finish before the pool closes
+  await Promise.all([jobRunner.stop(), pushWorker.stop()]);
+  closePush();
+
   // Stop accepting new connections
   if (server) {
     server.close(() => {
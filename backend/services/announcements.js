@@ -0,0 +1,517 @@
+/**
+ * Announcements
+ *
+ * Any number of announcements can exist at once. An announcement is
+ * scheduled until starts_at, active until expires_at (if set), then expired.
+ * Pinned announcements are listed first, then by priority (0-100, higher
+ * first), then most recently started.
+ *
+ * Each announcement's push is a scheduled job (services/jobs.js) due at
+ * starts_at. Moving starts_at moves a push that hasn't gone out yet;
+ * deleting or expiring the announcement cancels it.
+ *
+ * An announcement's audience is set when it's created: everyone (pushed to
+ * the 'announcements' topic), or a subset of users (pushed to their
+ * devices, and added to their inbox; see services/notifications.js). Users
+ * only see announcements they are in the audience of.
+ */
+
+const { scheduleJob, cancelJob, hasJobRun } = require('./jobs');
+const { queuePush, queuePushToDevices } = require('./pushOutbox');
+const { supportsTopics, getTransportTokenType } = require('./push');
+const { createNotifications } = require('./notifications');
+const { ADMIN_ROLES } = require('./roles');
+const { ACTIVE } = require('./userManagement');
+const { withTransaction } = require('../utils/database');
+
+const MAX_MESSAGE_LENGTH = 1000;
+const MAX_PRIORITY = 100;
+const MAX_AUDIENCE_USERS = 1000;
+
+const AUDIENCE_TYPES = ['all', 'admins', 'approved_after', 'met_user', 'users'];
+
+const ANNOUNCEMENT_COLUMNS = `a.id, a.message, a.created_at, a.starts_at, a.expires_at, a.image_url,
+  a.pinned, a.priority, a.updated_at, u.username AS created_by_username,
+  a.audience_type, a.audience_approved_after, a.audience_user_id,
+  ARRAY(SELECT user_id FROM announcement_recipients WHERE announcement_id = a.id ORDER BY user_id) AS audience_user_ids,
+  CASE
+    WHEN a.starts_at > NOW() THEN 'scheduled'
+    WHEN a.expires_at IS NOT NULL AND a.expires_at <= NOW() THEN 'expired'
+    ELSE 'active'
+  END AS status`;
+
+const DISPLAY_ORDER = 'a.pinned DESC, a.priority DESC, a.starts_at DESC, a.id DESC';
+
+const STATUS_CONDITIONS = {
+  active: 'a.starts_at <= NOW() AND (a.expires_at IS NULL OR a.expires_at > NOW())',
+  scheduled: 'a.starts_at > NOW()',
+  expired: 'a.expires_at IS NOT NULL AND a.expires_at <= NOW()'
+};
+const ANNOUNCEMENT_STATUSES = Object.keys(STATUS_CONDITIONS);
+
+const PUSH_JOB_TYPE = 'announcement.push';
+
+/**
+ * Job key for an announcement's push
+ */
+function pushJobKey(announcementId) {
+  return `announcement-push:${announcementId}`;
+}
+
+/**
+ * SQL condition: the user with ID userIdSql is in the audience of announcement a
+ * Users count as approved from their approval decision, or from sign-up if
+ * they were approved automatically.
+ */
+function audienceCondition(userIdSql) {
+  return `(a.audience_type = 'all'
+    OR (a.audience_type = 'admins' AND EXISTS (
+      SELECT 1 FROM user_roles
+      WHERE user_id = ${userIdSql} AND role IN (${ADMIN_ROLES.map(role => `'${role}'`).join(', ')})))
+    OR (a.audience_type = 'approved_after' AND EXISTS (
+      SELECT 1 FROM users
+      WHERE id = ${userIdSql} AND is_approved = TRUE
+        AND COALESCE(approval_decided_at, created_at) > a.audience_approved_after))
+    OR (a.audience_type = 'met_user' AND EXISTS (
+      SELECT 1 FROM encounters
+      WHERE (observer_id = ${userIdSql} AND observed_user_id = a.audience_user_id)
+         OR (observer_id = a.audience_user_id AND observed_user_id = ${userIdSql})))
+    OR (a.audience_type = 'users' AND EXISTS (
+      SELECT 1 FROM announcement_recipients WHERE announcement_id = a.id AND user_id = ${userIdSql})))`;
+}
+
+/**
+ * Parse a positive integer user ID (IDs are sent back to clients as strings)
+ */
+function parseUserId(value) {
+  const id = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+  return Number.isSafeInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Validate an announcement audience
+ * @param {{type: string, approvedAfter?: string, userId?: string|number, userIds?: Array<string|number>}} input
+ * @returns {{audience?: {type: string, approvedAfter?: Date, userId?: number, userIds?: number[]}, error?: string}}
+ */
+function parseAudience(input) {
+  if (typeof input !== 'object' || Array.isArray(input) || !AUDIENCE_TYPES.includes(input.type)) {
+    return { error: `Audience type must be one of: ${AUDIENCE_TYPES.join(', ')}` };
+  }
+
+  switch (input.type) {
+    case 'approved_after': {
+      const parsed = parseDateField(input.approvedAfter ?? undefined, 'approvedAfter');
+      if (parsed.error) return parsed;
+      return { audience: { type: input.type, approvedAfter: parsed.value } };
+    }
+    case 'met_user': {
+      const userId = parseUserId(input.userId);
+      if (!userId) return { error: 'Audience userId must be a user ID' };
+      return { audience: { type: input.type, userId } };
+    }
+    case 'users': {
+      if (!Array.isArray(input.userIds) || input.userIds.length === 0) {
+        return { error: 'Audience userIds must be a non-empty list of user IDs' };
+      }
+      const userIds = [...new Set(input.userIds.map(parseUserId))];
+      if (userIds.includes(null)) {
+        return { error: 'Audience userIds must be a non-empty list of user IDs' };
+      }
+      if (userIds.length > MAX_AUDIENCE_USERS) {
+        return { error: `Audience can list at most ${MAX_AUDIENCE_USERS} users` };
+      }
+      return { audience: { type: input.type, userIds } };
+    }
+    default:
+      return { audience: { type: input.type } };
+  }
+}
+
+/**
+ * Parse an optional date field; null clears it
+ * @returns {{value?: Date|null, error?: string}}
+ */
+function parseDateField(value, name) {
+  if (value === null) return { value: null };
+  const date = typeof value === 'string' || typeof value === 'number' ? new Date(value) : new Date(NaN);
+  if (Number.isNaN(date.getTime())) {
+    return { error: `Invalid ${name} date format` };
+  }
+  return { value: date };
+}
+
+/**
+ * Validate announcement fields from a request body
+ * For a create every omitted field takes its default; for an update
+ * (partial) only the fields present are returned.
+ * @returns {{values?: Object, error?: string}}
+ */
+function parseAnnouncementInput(body, { partial = false } = {}) {
+  const input = body || {};
+  const values = {};
+
+  if (input.message !== undefined || !partial) {
+    const { message } = input;
+    if (!message || typeof message !== 'string' || message.trim().length === 0) {
+      return { error: 'Message is required' };
+    }
+    if (message.length > MAX_MESSAGE_LENGTH) {
+      return { error: `Message too long (max ${MAX_MESSAGE_LENGTH} chars)` };
+    }
+    values.message = message.trim();
+  }
+
+  if (input.imageUrl !== undefined && input.imageUrl !== null && input.imageUrl !== '') {
+    // Must be a data URL or https URL
+    if (typeof input.imageUrl !== 'string'
+      || (!input.imageUrl.startsWith('data:image/') && !input.imageUrl.startsWith('https://'))) {
+      return { error: 'Invalid image URL format' };
+    }
+    values.imageUrl = input.imageUrl;
+  } else if (input.imageUrl !== undefined || !partial) {
+    values.imageUrl = null;
+  }
+
+  // An empty or null start means now; an empty or null expiry means never
+  const startsAt = input.startsAt === '' ? null : input.startsAt;
+  const expiresAt = input.expiresAt === '' ? null : input.expiresAt;
+
+  if (startsAt !== undefined && startsAt !== null) {
+    const parsed = parseDateField(startsAt, 'startsAt');
+    if (parsed.error) return parsed;
+    values.startsAt = parsed.value;
+  } else if (startsAt === null || !partial) {
+    values.startsAt = new Date();
+  }
+
+  if (expiresAt !== undefined) {
+    const parsed = parseDateField(expiresAt, 'expiresAt');
+    if (parsed.error) return parsed;
+    values.expiresAt = parsed.value;
+  } else if (!partial) {
+    values.expiresAt = null;
+  }
+
+  if (input.pinned !== undefined) {
+    if (typeof input.pinned !== 'boolean') {
+      return { error: 'pinned must be a boolean' };
+    }
+    values.pinned = input.pinned;
+  } else if (!partial) {
+    values.pinned = false;
+  }
+
+  if (input.priority !== undefined) {
+    if (!Number.isInteger(input.priority) || input.priority < 0 || input.priority > MAX_PRIORITY) {
+      return { error: `priority must be an integer from 0 to ${MAX_PRIORITY}` };
+    }
+    values.priority = input.priority;
+  } else if (!partial) {
+    values.priority = 0;
+  }
+
+  if (input.audience !== undefined && input.audience !== null) {
+    // Pushes may already have gone to the original audience
+    if (partial) {
+      return { error: 'The audience cannot be changed after an announcement is created' };
+    }
+    const parsed = parseAudience(input.audience);
+    if (parsed.error) return parsed;
+    values.audience = parsed.audience;
+  } else if (!partial) {
+    values.audience = { type: 'all' };
+  }
+
+  if (values.startsAt && values.expiresAt && values.expiresAt <= values.startsAt) {
+    return { error: 'expiresAt must be after startsAt' };
+  }
+
+  return { values };
+}
+
+/**
+ * Fetch one announcement
+ * @param {Object} client - Pool or transaction client
+ */
+async function getAnnouncement(client, id) {
+  const result = await client.query(
+    `SELECT ${ANNOUNCEMENT_COLUMNS} FROM announcements a LEFT JOIN users u ON a.created_by = u.id WHERE a.id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Check that the users an audience names exist
+ * @returns {Promise<string|null>} An error message, or null if they all exist
+ */
+async function checkAudienceUsers(client, audience) {
+  const userIds = audience.type === 'met_user' ? [audience.userId] : audience.userIds || [];
+  if (userIds.length === 0) return null;
+
+  const result = await client.query(
+    'SELECT id FROM users WHERE id = ANY($1::int[]) AND deleted_at IS NULL',
+    [userIds]
+  );
+  const found = new Set(result.rows.map(row => row.id));
+  const missing = userIds.filter(id => !found.has(id));
+  if (missing.length === 0) return null;
+
+  return audience.type === 'met_user'
+    ? 'Audience user not found'
+    : `Audience users not found: ${missing.join(', ')}`;
+}
+
+/**
+ * Create an announcement from parseAnnouncementInput() values and schedule its push
+ * @param {Object} db - Pool, or a transaction client to make this part of a larger change
+ * @returns {Promise<{announcement?: Object, error?: string}>}
+ */
+async function createAnnouncement(db, values, createdBy) {
+  const { audience } = values;
+  return withTransaction(db, async (client) => {
+    const audienceError = await checkAudienceUsers(client, audience);
+    if (audienceError) {
+      return { error: audienceError };
+    }
+
+    const result = await client.query(
+      `INSERT INTO announcements (message, created_by, starts_at, expires_at, image_url, pinned, priority,
+         audience_type, audience_approved_after, audience_user_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id`,
+      [
+        values.message, createdBy, values.startsAt, values.expiresAt, values.imageUrl, values.pinned, values.priority,
+        audience.type, audience.approvedAfter || null, audience.userId || null
+      ]
+    );
+    const announcementId = result.rows[0].id;
+
+    if (audience.type === 'users') {
+      await client.query(
+        'INSERT INTO announcement_recipients (announcement_id, user_id) SELECT $1, unnest($2::int[])',
+        [announcementId, audience.userIds]
+      );
+    }
+
+    await scheduleJob(client, {
+      type: PUSH_JOB_TYPE,
+      key: pushJobKey(announcementId),
+      payload: { announcementId },
+      runAt: values.startsAt
+    });
+    const announcement = await getAnnouncement(client, announcementId);
+
+    return { announcement };
+  });
+}
+
+/**
+ * Apply a partial update from parseAnnouncementInput(body, { partial: true })
+ * @param {Object} db - Pool, or a transaction client to make this part of a larger change
+ * @returns {Promise<{announcement?: Object, previous?: Object, error?: string, notFound?: boolean}>}
+ */
+async function updateAnnouncement(db, id, changes, updatedBy) {
+  return withTransaction(db, async (client) => {
+    const locked = await client.query('SELECT id FROM announcements WHERE id = $1 FOR UPDATE', [id]);
+    if (locked.rows.length === 0) {
+      return { notFound: true };
+    }
+    const previous = await getAnnouncement(client, id);
+
+    const startsAt = changes.startsAt !== undefined ? changes.startsAt : previous.starts_at;
+    const expiresAt = changes.expiresAt !== undefined ? changes.expiresAt : previous.expires_at;
+    if (expiresAt && expiresAt <= startsAt) {
+      return { error: 'expiresAt must be after startsAt' };
+    }
+
+    const columns = { message: 'message', startsAt: 'starts_at', expiresAt: 'expires_at', imageUrl: 'image_url', pinned: 'pinned', priority: 'priority' };
+    const assignments = [];
+    const params = [id, updatedBy];
+    for (const [field, column] of Object.entries(columns)) {
+      if (changes[field] !== undefined) {
+        params.push(changes[field]);
+        assignments.push(`${column} = $${params.length}`);
+      }
+    }
+
+    await client.query(
+      `UPDATE announcements SET ${[...assignments, 'updated_at = NOW()', 'updated_by = $2'].join(', ')} WHERE id = $1`,
+      params
+    );
+    const announcement = await getAnnouncement(client, id);
+
+    // Keep a push that hasn't gone out yet in step with the new schedule,
+    // recreating it if an earlier update expired the announcement
+    if (announcement.status === 'expired') {
+      await cancelJob(client, pushJobKey(id));
+    } else if (!(await hasJobRun(client, pushJobKey(id)))) {
+      await scheduleJob(client, {
+        type: PUSH_JOB_TYPE,
+        key: pushJobKey(id),
+        payload: { announcementId: announcement.id },
+        runAt: announcement.starts_at
+      });
+    }
+
+    return { announcement, previous };
+  });
+}
+
+/**
+ * Delete an announcement
+ * @returns {Promise<Object|null>} The deleted announcement, or null if it didn't exist
+ */
+async function deleteAnnouncement(pool, id) {
+  const announcement = await getAnnouncement(pool, id);
+  if (!announcement) return null;
+
+  await cancelJob(pool, pushJobKey(id));
+  await pool.query(
+    "DELETE FROM notifications WHERE type = 'announcement' AND data->>'announcementId' = $1",
+    [String(id)]
+  );
+  const result = await pool.query('DELETE FROM announcements WHERE id = $1', [id]);
+  return result.rowCount > 0 ? announcement : null;
+}
+
+/**
+ * IDs of the users in an announcement's audience
+ * Deleted, suspended and unapproved users are left out.
+ */
+async function listAudienceUserIds(client, announcementId) {
+  const result = await client.query(
+    `SELECT u.id
+     FROM announcements a
+     JOIN users u ON ${audienceCondition('u.id')}
+     WHERE a.id = $1 AND ${ACTIVE}`,
+    [announcementId]
+  );
+  return result.rows.map(row => row.id);
+}
+
+/**
+ * Devices of the users in an announcement's audience, as for listAudienceUserIds()
+ * Only devices the push transport can reach are listed.
+ * @returns {Promise<Array<{token: string, userId: number}>>}
+ */
+async function listAudienceDevices(client, announcementId) {
+  const result = await client.query(
+    `SELECT d.token, d.user_id
+     FROM announcements a
+     JOIN users u ON ${audienceCondition('u.id')}
+     JOIN device_tokens d ON d.user_id = u.id
+     WHERE a.id = $1 AND ${ACTIVE} AND ($2::text IS NULL OR d.token_type = $2)`,
+    [announcementId, getTransportTokenType()]
+  );
+  return result.rows.map(row => ({ token: row.token, userId: row.user_id }));
+}
+
+/**
+ * Job handler: queue an announcement's push to its audience once it's active
+ * Announcements for everyone go to the 'announcements' topic (or every
+ * device, if the push transport has no topics); targeted ones go to each
+ * recipient's devices and inbox. Announcements deleted or expired in the
+ * meantime are skipped. Queueing is idempotent, so a retried job doesn't
+ * push or notify twice.
+ * @returns {Promise<number>} How many pushes were queued
+ */
+async function queueAnnouncementPush(pool, { announcementId }) {
+  const announcement = await getAnnouncement(pool, announcementId);
+  if (!announcement || announcement.status !== 'active') {
+    console.log(`Skipping push for announcement ${announcementId}: ${announcement ? announcement.status : 'deleted'}`);
+    return 0;
+  }
+
+  const push = {
+    title: 'New Announcement',
+    body: announcement.message,
+    data: { type: 'announcement', announcementId: String(announcement.id) },
+    source: 'announcement',
+    dedupeKey: `announcement:${announcement.id}`
+  };
+
+  if (announcement.audience_type === 'all' && supportsTopics()) {
+    const queued = await queuePush(pool, { ...push, topic: 'announcements' });
+    return queued ? 1 : 0;
+  }
+
+  if (announcement.audience_type !== 'all') {
+    const userIds = await listAudienceUserIds(pool, announcement.id);
+    await createNotifications(pool, userIds, {
+      type: 'announcement',
+      title: push.title,
+      body: push.body,
+      data: { announcementId: String(announcement.id) },
+      dedupeKey: push.dedupeKey
+    });
+  }
+
+  const devices = await listAudienceDevices(pool, announcement.id);
+  return queuePushToDevices(pool, devices, push);
+}
+
+/**
+ * Announcements that have started and not expired, in display order
+ * @param {{limit: number, userId?: number}} options - Only announcements userId is in the
+ *   audience of are listed; without a user, only announcements for everyone
+ */
+async function listActiveAnnouncements(pool, { limit, userId }) {
+  const params = [limit];
+  let audience = "a.audience_type = 'all'";
+  if (userId) {
+    params.push(userId);
+    audience = audienceCondition('$2');
+  }
+
+  const result = await pool.query(
+    `SELECT ${ANNOUNCEMENT_COLUMNS}
+     FROM announcements a
+     LEFT JOIN users u ON a.created_by = u.id
+     WHERE ${STATUS_CONDITIONS.active} AND ${audience}
+     ORDER BY ${DISPLAY_ORDER}
+     LIMIT $1`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Every announcement, including scheduled and expired ones, newest first
+ * @param {{status?: string, limit: number, before?: number}} options - before: announcement ID cursor
+ */
+async function listAnnouncementArchive(pool, { status, limit, before }) {
+  const conditions = [];
+  const params = [];
+  if (status) conditions.push(STATUS_CONDITIONS[status]);
+  if (before) {
+    params.push(before);
+    conditions.push(`a.id < $${params.length}`);
+  }
+  params.push(limit);
+
+  const result = await pool.query(
+    `SELECT ${ANNOUNCEMENT_COLUMNS}
+     FROM announcements a
+     LEFT JOIN users u ON a.created_by = u.id
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY a.id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return result.rows;
+}
+
+module.exports = {
+  ANNOUNCEMENT_STATUSES,
+  AUDIENCE_TYPES,
+  PUSH_JOB_TYPE,
+  parseAnnouncementInput,
+  getAnnouncement,
+  createAnnouncement,
+  updateAnnouncement,
+  deleteAnnouncement,
+  listActiveAnnouncements,
+  listAnnouncementArchive,
+  queueAnnouncementPush
+};
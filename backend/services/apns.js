@@ -0,0 +1,243 @@
+/**
+ * Apple Push Notification service push transport, used by services/push.js
+ *
+ * Sends straight to APNs over HTTP/2 with token-based auth: a .p8 signing
+ * key from APNS_KEY (its contents) or APNS_KEY_PATH, with APNS_KEY_ID,
+ * APNS_TEAM_ID and the app's APNS_BUNDLE_ID. APNS_ENV picks the production
+ * (default) or sandbox endpoint; APNS_BASE_URL points at a stand-in server.
+ *
+ * Only devices registered with an APNs token (token_type 'apns') get pushes;
+ * FCM tokens are skipped. APNs has no topics, so
+ * announcements for everyone go to each device instead.
+ */
+
+const fs = require('fs');
+const http2 = require('http2');
+const jwt = require('jsonwebtoken');
+const { parseRetryAfter } = require('./fcm');
+
+const APNS_HOSTS = {
+  production: 'https://api.push.apple.com',
+  sandbox: 'https://api.sandbox.push.apple.com'
+};
+const APNS_TIMEOUT_MS = 10000;
+// Apple rejects provider tokens older than an hour and throttles refreshes
+// more often than every 20 minutes
+const PROVIDER_TOKEN_TTL_MS = 50 * 60 * 1000;
+
+// APNs reasons meaning the device token will never work again
+const INVALID_TOKEN_REASONS = ['BadDeviceToken', 'Unregistered', 'DeviceTokenNotForTopic'];
+
+let apnsConfig = null;
+let providerToken = null; // { token, issuedAt }
+let session = null;
+
+/**
+ * Load and validate the APNs configuration (once)
+ * @returns {{status: 'ok'|'error', baseUrl?: string, keyId?: string, teamId?: string,
+ *   bundleId?: string, key?: string, error?: string}}
+ */
+function getApnsConfig() {
+  if (apnsConfig) return apnsConfig;
+
+  const { APNS_KEY, APNS_KEY_PATH, APNS_KEY_ID, APNS_TEAM_ID, APNS_BUNDLE_ID } = process.env;
+  const environment = process.env.APNS_ENV || 'production';
+  const baseUrl = process.env.APNS_BASE_URL || APNS_HOSTS[environment];
+
+  let key = APNS_KEY?.replace(/\\n/g, '\n');
+  let error = null;
+  if (!key && APNS_KEY_PATH) {
+    try {
+      key = fs.readFileSync(APNS_KEY_PATH, 'utf8');
+    } catch (readError) {
+      error = `Could not read APNs key file: ${readError.message}`;
+    }
+  }
+
+  if (!error && !baseUrl) error = `APNS_ENV must be one of: ${Object.keys(APNS_HOSTS).join(', ')}`;
+  if (!error && !key) error = 'Set APNS_KEY or APNS_KEY_PATH';
+  if (!error && (!APNS_KEY_ID || !APNS_TEAM_ID || !APNS_BUNDLE_ID)) {
+    error = 'Set APNS_KEY_ID, APNS_TEAM_ID and APNS_BUNDLE_ID';
+  }
+
+  apnsConfig = error
+    ? { status: 'error', error }
+    : { status: 'ok', baseUrl, keyId: APNS_KEY_ID, teamId: APNS_TEAM_ID, bundleId: APNS_BUNDLE_ID, key };
+  return apnsConfig;
+}
+
+/**
+ * The signed provider token, reissued before Apple would reject it
+ */
+function getProviderToken(config) {
+  if (!providerToken || Date.now() - providerToken.issuedAt > PROVIDER_TOKEN_TTL_MS) {
+    providerToken = {
+      token: jwt.sign({ iss: config.teamId }, config.key, { algorithm: 'ES256', keyid: config.keyId }),
+      issuedAt: Date.now()
+    };
+  }
+  return providerToken.token;
+}
+
+/**
+ * The shared HTTP/2 connection, reconnecting if it was closed
+ */
+function getSession(config) {
+  if (!session || session.closed || session.destroyed) {
+    session = http2.connect(config.baseUrl);
+    session.on('error', (error) => console.error('APNs connection error:', error.message));
+  }
+  return session;
+}
+
+/**
+ * Send one notification to a device
+ * @returns {Promise<Object>} Delivery result, as for the FCM transport;
+ *   messageId is the apns-id
+ */
+async function sendNotification(target, { title, body, data }) {
+  if (!target.token) {
+    return { sent: false, retryable: false, error: 'APNs cannot send to topics' };
+  }
+
+  const config = getApnsConfig();
+  if (config.status !== 'ok') {
+    return { sent: false, retryable: false, error: `Push notifications are not configured: ${config.error}` };
+  }
+
+  let authorization;
+  try {
+    authorization = `bearer ${getProviderToken(config)}`;
+  } catch (error) {
+    return { sent: false, retryable: false, error: `Could not sign APNs provider token: ${error.message}` };
+  }
+
+  const payload = JSON.stringify({
+    aps: { alert: { title, body }, sound: 'default' },
+    ...data
+  });
+
+  return new Promise((resolve) => {
+    let req;
+    try {
+      req = getSession(config).request({
+        ':method': 'POST',
+        ':path': `/3/device/${encodeURIComponent(target.token)}`,
+        'authorization': authorization,
+        'apns-topic': config.bundleId,
+        'apns-push-type': 'alert',
+        'apns-priority': '10',
+        'content-type': 'application/json'
+      });
+    } catch (error) {
+      session = null;
+      resolve({ sent: false, retryable: true, error: error.message });
+      return;
+    }
+
+    let headers = {};
+    let responseBody = '';
+    req.setEncoding('utf8');
+    req.on('response', (responseHeaders) => {
+      headers = responseHeaders;
+    });
+    req.on('data', (chunk) => responseBody += chunk);
+    req.on('end', () => {
+      const statusCode = headers[':status'];
+      if (!statusCode) {
+        // The stream was cancelled or reset before APNs answered
+        resolve({ sent: false, retryable: true, error: 'APNs closed the stream without a response' });
+        return;
+      }
+      if (statusCode === 200) {
+        resolve({ sent: true, statusCode, messageId: headers['apns-id'] || null });
+        return;
+      }
+
+      let reason = null;
+      try {
+        reason = JSON.parse(responseBody).reason || null;
+      } catch (error) {
+        // Leave the reason unknown
+      }
+      console.log('APNs response:', statusCode, responseBody);
+      if (reason === 'ExpiredProviderToken') {
+        providerToken = null;
+      }
+      resolve({
+        sent: false,
+        statusCode,
+        errorCode: reason,
+        error: `APNs responded ${statusCode}${reason ? ` ${reason}` : ''}`,
+        retryable: statusCode === 429 || statusCode >= 500 || reason === 'ExpiredProviderToken',
+        retryAfterMs: parseRetryAfter(headers['retry-after']),
+        invalidToken: INVALID_TOKEN_REASONS.includes(reason)
+      });
+    });
+
+    req.setTimeout(APNS_TIMEOUT_MS, () => {
+      // Resolve first: closing the stream ends it with no response
+      resolve({ sent: false, retryable: true, error: 'APNs request timed out' });
+      req.close(http2.constants.NGHTTP2_CANCEL);
+    });
+    req.on('error', (error) => {
+      console.error('APNs error:', error.message);
+      resolve({ sent: false, retryable: true, error: error.message });
+    });
+
+    req.end(payload);
+  });
+}
+
+/**
+ * APNs configuration state for the push status endpoint (no secrets)
+ */
+function getApnsStatus() {
+  const config = getApnsConfig();
+  return {
+    status: config.status,
+    baseUrl: config.baseUrl || null,
+    bundleId: config.bundleId || null,
+    error: config.error || null
+  };
+}
+
+/**
+ * Check the APNs configuration at startup by signing a provider token
+ */
+async function checkApnsConfig() {
+  const config = getApnsConfig();
+  if (config.status === 'ok') {
+    try {
+      getProviderToken(config);
+      console.log(`APNs configured for ${config.bundleId} (sending to ${config.baseUrl})`);
+    } catch (error) {
+      apnsConfig = { status: 'error', error: `Could not sign APNs provider token: ${error.message}` };
+    }
+  }
+  if (apnsConfig.status === 'error') {
+    console.error('APNs configuration error:', apnsConfig.error);
+  }
+  return getApnsStatus();
+}
+
+/**
+ * Create the APNs push transport
+ */
+function createApnsTransport() {
+  return {
+    name: 'apns',
+    supportsTopics: false,
+    tokenType: 'apns',
+    send: sendNotification,
+    check: checkApnsConfig,
+    getStatus: getApnsStatus,
+    close() {
+      if (session) session.close();
+    }
+  };
+}
+
+module.exports = {
+  createApnsTransport
+};
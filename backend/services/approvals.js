@@ -0,0 +1,220 @@
+/**
+ * Account approval queue
+ *
+ * In 'automatic' approval mode (the default) new accounts are approved at
+ * sign-up, unless email accounts must verify their address first. In
+ * 'manual' mode every new non-admin account waits for an admin decision.
+ * Users are told about decisions in their inbox and by push notification.
+ */
+
+const { getSetting } = require('./settings');
+const { queuePushToUser } = require('./pushOutbox');
+const { createNotification } = require('./notifications');
+
+const MAX_REJECTION_REASON_LENGTH = 500;
+const MAX_BULK_DECISIONS = 100;
+
+/**
+ * Whether a new account starts out approved
+ * @param {{isAdmin: boolean, isEmailAccount: boolean}} account
+ *   isEmailAccount: signed up with an email address that still needs verifying
+ */
+async function isApprovedOnSignup(pool, { isAdmin, isEmailAccount }) {
+  if (isAdmin) return true;
+  if ((await getSetting(pool, 'approvalMode')) === 'manual') return false;
+  return !(isEmailAccount && (await getSetting(pool, 'requireVerifiedEmailForApproval')));
+}
+
+/**
+ * Whether verifying an email address should approve the account
+ * Only when approval was waiting on verification alone.
+ */
+async function isApprovedOnEmailVerification(client) {
+  return (await getSetting(client, 'approvalMode')) === 'automatic'
+    && (await getSetting(client, 'requireVerifiedEmailForApproval'));
+}
+
+/**
+ * Derive a user's approval status from their row
+ * @returns {'approved'|'rejected'|'pending'}
+ */
+function getApprovalStatus(user) {
+  if (user.is_approved) return 'approved';
+  return user.rejected_at ? 'rejected' : 'pending';
+}
+
+/**
+ * List users awaiting (or refused) approval, oldest sign-up first
+ * @param {Object} filters
+ * @param {'pending'|'rejected'} filters.status
+ * @param {string} [filters.provider] - auth_provider, e.g. 'email' or 'github'
+ * @param {Date} [filters.signedUpAfter]
+ * @param {Date} [filters.signedUpBefore]
+ * @param {number} filters.limit
+ * @param {number} [filters.after] - user ID cursor
+ * @returns {Promise<{users: Object[], total: number}>}
+ */
+async function listApprovalQueue(pool, { status, provider, signedUpAfter, signedUpBefore, limit, after }) {
+  const conditions = [
+    'deleted_at IS NULL',
+    'is_approved = FALSE',
+    status === 'rejected' ? 'rejected_at IS NOT NULL' : 'rejected_at IS NULL'
+  ];
+  const params = [];
+
+  if (provider) {
+    params.push(provider);
+    conditions.push(`auth_provider = $${params.length}`);
+  }
+  if (signedUpAfter) {
+    params.push(signedUpAfter);
+    conditions.push(`created_at >= $${params.length}::timestamptz`);
+  }
+  if (signedUpBefore) {
+    params.push(signedUpBefore);
+    conditions.push(`created_at < $${params.length}::timestamptz`);
+  }
+
+  const where = conditions.join(' AND ');
+  const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM users WHERE ${where}`, params);
+
+  const pageParams = [...params, after || 0, limit];
+  const result = await pool.query(
+    `SELECT id, email, username, auth_provider, twitter_handle, github_handle, email_verified,
+            created_at, rejected_at, rejection_reason
+     FROM users
+     WHERE ${where} AND id > $${pageParams.length - 1}
+     ORDER BY id
+     LIMIT $${pageParams.length}`,
+    pageParams
+  );
+
+  return { users: result.rows, total: countResult.rows[0].total };
+}
+
+/**
+ * Tell the user about the decision: in their inbox, and by push to their
+ * devices if they registered any
+ * Runs in the decision's transaction; a savepoint keeps a failed
+ * notification from aborting it.
+ */
+async function notifyDecision(client, user, decision, reason) {
+  const title = decision === 'approve' ? 'Welcome to Karass' : 'Karass account update';
+  const body = decision === 'approve'
+    ? 'Your account has been approved.'
+    : `Your request to join was not approved: ${reason}`;
+
+  const status = decision === 'approve' ? 'approved' : 'rejected';
+
+  await client.query('SAVEPOINT notify_decision');
+  try {
+    await createNotification(client, { userId: user.id, type: 'approval_decision', title, body, data: { status } });
+    await queuePushToUser(client, user.id, {
+      title,
+      body,
+      data: { type: 'approval_decision', status },
+      source: 'approval_decision'
+    });
+    await client.query('RELEASE SAVEPOINT notify_decision');
+  } catch (error) {
+    console.error('Approval notification error:', error.message);
+    await client.query('ROLLBACK TO SAVEPOINT notify_decision');
+  }
+}
+
+/**
+ * Validate a rejection reason
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateRejectionReason(reason) {
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    return 'A reason is required when rejecting a user';
+  }
+  if (reason.length > MAX_REJECTION_REASON_LENGTH) {
+    return `Reason must be at most ${MAX_REJECTION_REASON_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Approve or reject one or more users
+ * Users the decision doesn't apply to are returned in `skipped` with a reason:
+ * not_found, already_approved, email_not_verified or is_admin. Decided users
+ * carry their `previous` approval state ({ status, reason }).
+ * @param {Object} client - Transaction client
+ * @param {{userIds: number[], decision: 'approve'|'reject', reason?: string, adminId: number}} options
+ * @returns {Promise<{decided: Object[], skipped: Array<{id: number, reason: string}>}>}
+ */
+async function decideApprovals(client, { userIds, decision, reason, adminId }) {
+  const ids = [...new Set(userIds)];
+  const existing = await client.query(
+    `SELECT id, email, email_verified, is_approved, is_admin, rejected_at, rejection_reason
+     FROM users WHERE id = ANY($1::int[]) AND deleted_at IS NULL`,
+    [ids]
+  );
+  const byId = new Map(existing.rows.map(row => [row.id, row]));
+  const requireVerifiedEmail = decision === 'approve'
+    && (await getSetting(client, 'requireVerifiedEmailForApproval'));
+
+  const skipped = [];
+  const eligible = [];
+  for (const id of ids) {
+    const user = byId.get(id);
+    if (!user) {
+      skipped.push({ id, reason: 'not_found' });
+    } else if (decision === 'approve' && user.is_approved) {
+      skipped.push({ id, reason: 'already_approved' });
+    } else if (decision === 'approve' && requireVerifiedEmail && user.email && !user.email_verified) {
+      // Email accounts must verify their address first when admins require it
+      skipped.push({ id, reason: 'email_not_verified' });
+    } else if (decision === 'reject' && user.is_admin) {
+      skipped.push({ id, reason: 'is_admin' });
+    } else {
+      eligible.push(id);
+    }
+  }
+
+  let decided = [];
+  if (eligible.length > 0) {
+    const result = decision === 'approve'
+      ? await client.query(
+        `UPDATE users
+         SET is_approved = TRUE, rejected_at = NULL, rejection_reason = NULL,
+             approval_decided_at = NOW(), approval_decided_by = $2
+         WHERE id = ANY($1::int[])
+         RETURNING id, email, username, is_approved, rejected_at, rejection_reason`,
+        [eligible, adminId]
+      )
+      : await client.query(
+        `UPDATE users
+         SET is_approved = FALSE, rejected_at = NOW(), rejection_reason = $3,
+             approval_decided_at = NOW(), approval_decided_by = $2
+         WHERE id = ANY($1::int[]) AND is_admin = FALSE
+         RETURNING id, email, username, is_approved, rejected_at, rejection_reason`,
+        [eligible, adminId, reason.trim()]
+      );
+    decided = result.rows;
+  }
+
+  for (const user of decided) {
+    await notifyDecision(client, user, decision, user.rejection_reason);
+  }
+
+  return {
+    decided: decided.map(user => ({
+      ...user,
+      previous: { status: getApprovalStatus(byId.get(user.id)), reason: byId.get(user.id).rejection_reason }
+    })),
+    skipped
+  };
+}
+
+module.exports = {
+  MAX_BULK_DECISIONS,
+  isApprovedOnSignup,
+  isApprovedOnEmailVerification,
+  getApprovalStatus,
+  listApprovalQueue,
+  validateRejectionReason,
+  decideApprovals
+};
@@ -0,0 +1,116 @@
+/**
+ * Admin audit log
+ *
+ * Every privileged action appends an entry recording who did what to which
+ * target, the relevant values before and after, and the request it came
+ * from. Changes write their entry in the same transaction (see
+ * withTransaction in utils/database.js), so a change is never made without
+ * one; if the entry can't be written, the change is rolled back.
+ */
+
+const AUDIT_CSV_COLUMNS = [
+  'id', 'created_at', 'actor_id', 'actor_username', 'action', 'target_type', 'target_id',
+  'before', 'after', 'ip_address', 'request_id'
+];
+
+/**
+ * Append an audit entry for a request made by an authenticated admin
+ * Throws if the entry can't be written.
+ * @param {Object} client - Transaction client making the change (or pool, for reads)
+ * @param {Object} req - Request (actor, IP and request ID are taken from it)
+ * @param {Object} entry
+ * @param {string} entry.action - Dotted action name, e.g. 'beacon.set'
+ * @param {string} [entry.targetType] - e.g. 'user', 'announcement', 'settings'
+ * @param {string|number} [entry.targetId]
+ * @param {Object} [entry.before] - Relevant values before the change
+ * @param {Object} [entry.after] - Relevant values after the change
+ */
+async function recordAudit(client, req, { action, targetType = null, targetId = null, before = null, after = null }) {
+  const actorId = req.adminId || req.user?.userId || null;
+  await client.query(
+    `INSERT INTO audit_log (actor_id, actor_username, action, target_type, target_id, before, after, ip_address, request_id)
+     VALUES ($1, (SELECT username FROM users WHERE id = $1), $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      actorId,
+      action,
+      targetType,
+      targetId === null ? null : String(targetId),
+      before === null ? null : JSON.stringify(before),
+      after === null ? null : JSON.stringify(after),
+      req.ip || req.connection?.remoteAddress || null,
+      req.requestId || null
+    ]
+  );
+}
+
+/**
+ * List audit entries, newest first
+ * @param {Object} filters
+ * @param {number} [filters.actorId]
+ * @param {string} [filters.action] - Exact action, or a prefix ending in '.' (e.g. 'beacon.')
+ * @param {string} [filters.targetType]
+ * @param {string} [filters.targetId]
+ * @param {Date} [filters.since]
+ * @param {Date} [filters.until]
+ * @param {number} filters.limit
+ * @param {number} [filters.before] - Entry ID cursor
+ */
+async function listAuditEntries(pool, { actorId, action, targetType, targetId, since, until, limit, before }) {
+  const conditions = [];
+  const params = [];
+  const add = (condition, value) => {
+    params.push(value);
+    conditions.push(condition.replace('?', `$${params.length}`));
+  };
+
+  if (actorId) add('actor_id = ?', actorId);
+  if (action) {
+    if (action.endsWith('.')) add('starts_with(action, ?)', action);
+    else add('action = ?', action);
+  }
+  if (targetType) add('target_type = ?', targetType);
+  if (targetId) add('target_id = ?', String(targetId));
+  if (since) add('created_at >= ?::timestamptz', since);
+  if (until) add('created_at < ?::timestamptz', until);
+  if (before) add('id < ?', before);
+
+  params.push(limit);
+  const result = await pool.query(
+    `SELECT id, created_at, actor_id, actor_username, action, target_type, target_id, before, after, ip_address, request_id
+     FROM audit_log
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Quote a CSV field, neutralizing values a spreadsheet would run as a formula
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render audit entries as CSV (RFC 4180, with a header row)
+ */
+function toCsv(entries) {
+  const lines = [AUDIT_CSV_COLUMNS.join(',')];
+  for (const entry of entries) {
+    lines.push(AUDIT_CSV_COLUMNS.map(column => csvField(entry[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  recordAudit,
+  listAuditEntries,
+  toCsv
+};
@@ -0,0 +1,178 @@
+/**
+ * Rotating ephemeral beacon identifiers
+ *
+ * The current beacon user advertises a short-lived ID instead of a static
+ * one, so sightings can be verified and devices can't be tracked over time.
+ * An ID is 16 bytes (32 hex chars, the size of a BLE service UUID): a random
+ * nonce followed by a truncated HMAC tag. The tag lets forged IDs be rejected
+ * without a lookup; the nonce maps to the issuing user server-side, so the ID
+ * itself reveals nothing about who is beaconing.
+ *
+ * An ID only resolves inside its validity window and while its user is still
+ * the current beacon. Inside that window a captured ID could still be relayed
+ * to remote users, so each ID is also limited to BEACON_ID_MAX_OBSERVERS
+ * distinct observers; repeat reports from the same observer don't count.
+ */
+
+const crypto = require('crypto');
+
+const BEACON_ID_TTL_SECONDS = parseInt(process.env.BEACON_ID_TTL_SECONDS, 10) || 120;
+const BEACON_ID_MAX_OBSERVERS = parseInt(process.env.BEACON_ID_MAX_OBSERVERS, 10) || 20;
+const BEACON_ID_ROTATE_BEFORE_SECONDS = 30; // Hand out the next ID this long before the current one expires
+const BEACON_ID_CLOCK_SKEW_SECONDS = 30; // Accept IDs this long past expiry (scan/report delay)
+const NONCE_BYTES = 10;
+const TAG_BYTES = 6;
+
+/**
+ * Derive the signing key (kept separate from other uses of JWT_SECRET)
+ */
+function getSigningKey() {
+  const keyMaterial = process.env.BEACON_ID_SECRET || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', keyMaterial).update('karass-beacon-id').digest();
+}
+
+/**
+ * Compute the truncated tag for a nonce
+ */
+function signNonce(nonce) {
+  return crypto.createHmac('sha256', getSigningKey()).update(nonce).digest().subarray(0, TAG_BYTES);
+}
+
+/**
+ * Split an ID into its nonce, checking the tag
+ * @returns {string|null} Hex nonce, or null if the ID is malformed or forged
+ */
+function parseBeaconId(beaconId) {
+  if (typeof beaconId !== 'string' || !/^[0-9a-f]{32}$/i.test(beaconId)) {
+    return null;
+  }
+  const bytes = Buffer.from(beaconId, 'hex');
+  const nonce = bytes.subarray(0, NONCE_BYTES);
+  const tag = bytes.subarray(NONCE_BYTES);
+  return crypto.timingSafeEqual(tag, signNonce(nonce)) ? nonce.toString('hex') : null;
+}
+
+/**
+ * Format an ID row for API responses
+ */
+function toBeaconId(row) {
+  const nonce = Buffer.from(row.nonce, 'hex');
+  return {
+    id: Buffer.concat([nonce, signNonce(nonce)]).toString('hex'),
+    validFrom: row.valid_from,
+    validUntil: row.valid_until
+  };
+}
+
+/**
+ * Get the ID a beacon user should advertise now, issuing a new one when the
+ * current one is about to expire
+ * @returns {Promise<{id: string, validFrom: Date, validUntil: Date}>}
+ */
+async function getCurrentBeaconId(pool, userId) {
+  const current = await pool.query(
+    `SELECT nonce, valid_from, valid_until FROM beacon_ids
+     WHERE user_id = $1 AND valid_until > NOW() + make_interval(secs => $2)
+     ORDER BY valid_until DESC
+     LIMIT 1`,
+    [userId, BEACON_ID_ROTATE_BEFORE_SECONDS]
+  );
+  if (current.rows.length > 0) {
+    return toBeaconId(current.rows[0]);
+  }
+
+  // Drop this user's expired IDs while issuing the next one
+  await pool.query(
+    'DELETE FROM beacon_ids WHERE user_id = $1 AND valid_until < NOW() - make_interval(secs => $2)',
+    [userId, BEACON_ID_CLOCK_SKEW_SECONDS]
+  );
+
+  const result = await pool.query(
+    `INSERT INTO beacon_ids (nonce, user_id, valid_from, valid_until)
+     VALUES ($1, $2, NOW(), NOW() + make_interval(secs => $3))
+     RETURNING nonce, valid_from, valid_until`,
+    [crypto.randomBytes(NONCE_BYTES).toString('hex'), userId, BEACON_ID_TTL_SECONDS]
+  );
+  return toBeaconId(result.rows[0]);
+}
+
+/**
+ * Resolve a sighted ID to the beacon user who advertised it
+ * @param {Object} client - Pool or transaction client
+ * @returns {Promise<{nonce: string, userId: number, username: string, validFrom: Date, validUntil: Date}|null>}
+ *   null if the ID is forged, unknown, outside its window, or its user is no longer the beacon
+ */
+async function resolveBeaconId(client, beaconId) {
+  const nonce = parseBeaconId(beaconId);
+  if (!nonce) return null;
+
+  const result = await client.query(
+    `SELECT b.user_id, b.valid_from, b.valid_until, u.username
+     FROM beacon_ids b
+     JOIN users u ON u.id = b.user_id
+     WHERE b.nonce = $1
+       AND b.valid_from <= NOW()
+       AND b.valid_until + make_interval(secs => $2) > NOW()
+       AND u.is_current_beacon = TRUE`,
+    [nonce, BEACON_ID_CLOCK_SKEW_SECONDS]
+  );
+  if (result.rows.length === 0) return null;
+
+  const row = result.rows[0];
+  return { nonce, userId: row.user_id, username: row.username, validFrom: row.valid_from, validUntil: row.valid_until };
+}
+
+/**
+ * Record that an observer reported an ID, unless it has already been
+ * reported by BEACON_ID_MAX_OBSERVERS other observers
+ * @param {Object} client - Transaction client
+ * @param {string} nonce - From resolveBeaconId
+ * @returns {Promise<boolean>} false if the ID has reached its observer limit
+ */
+async function recordBeaconIdObserver(client, nonce, observerId) {
+  // Lock the ID so concurrent reports can't both take its last place
+  await client.query('SELECT 1 FROM beacon_ids WHERE nonce = $1 FOR UPDATE', [nonce]);
+
+  const existing = await client.query(
+    'SELECT 1 FROM beacon_id_observers WHERE nonce = $1 AND observer_id = $2',
+    [nonce, observerId]
+  );
+  if (existing.rows.length > 0) return true;
+
+  const result = await client.query(
+    `INSERT INTO beacon_id_observers (nonce, observer_id)
+     SELECT $1, $2
+     WHERE (SELECT COUNT(*) FROM beacon_id_observers WHERE nonce = $1) < $3`,
+    [nonce, observerId, BEACON_ID_MAX_OBSERVERS]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Invalidate every outstanding ID (when the beacon is reassigned or cleared)
+ * @param {Object} client - Pool or transaction client
+ */
+async function revokeAllBeaconIds(client) {
+  await client.query('DELETE FROM beacon_ids');
+}
+
+/**
+ * Delete IDs that can no longer resolve
+ * @returns {Promise<number>} Number of rows removed
+ */
+async function purgeExpiredBeaconIds(pool) {
+  const result = await pool.query(
+    'DELETE FROM beacon_ids WHERE valid_until < NOW() - make_interval(secs => $1)',
+    [BEACON_ID_CLOCK_SKEW_SECONDS]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  BEACON_ID_TTL_SECONDS,
+  getCurrentBeaconId,
+  resolveBeaconId,
+  recordBeaconIdObserver,
+  revokeAllBeaconIds,
+  purgeExpiredBeaconIds
+};
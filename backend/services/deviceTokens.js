@@ -0,0 +1,89 @@
+/**
+ * Push device token registry
+ *
+ * Each device a user signs in on registers its FCM token. Pushes to a user
+ * go to all of their devices (see queuePushToUser in services/pushOutbox.js).
+ * Tokens FCM reports as unregistered or invalid are deleted by the outbox
+ * worker as soon as a send to them fails.
+ *
+ * Each token records the push service that issued it (DEVICE_TOKEN_TYPES;
+ * FCM unless the app says otherwise). Only tokens of the transport's type
+ * get pushes, so with PUSH_TRANSPORT=apns FCM tokens are kept, not pruned.
+ */
+
+const MAX_TOKEN_LENGTH = 500;
+const DEVICE_PLATFORMS = ['android', 'ios', 'web'];
+const DEVICE_TOKEN_TYPES = ['fcm', 'apns'];
+
+/**
+ * Validate a device registration
+ * @param {{token?: string, tokenType?: string, platform?: string, appVersion?: string}} body
+ * @returns {{device?: {token: string, tokenType: string, platform: string|null, appVersion: string|null}, error?: string}}
+ */
+function parseDeviceRegistration(body) {
+  const { token, tokenType, platform, appVersion } = body || {};
+
+  if (!token || typeof token !== 'string' || !token.trim()) {
+    return { error: 'Device token is required' };
+  }
+  if (token.length > MAX_TOKEN_LENGTH) {
+    return { error: 'Invalid device token format' };
+  }
+  if (tokenType !== undefined && tokenType !== null && !DEVICE_TOKEN_TYPES.includes(tokenType)) {
+    return { error: `Token type must be one of: ${DEVICE_TOKEN_TYPES.join(', ')}` };
+  }
+  if (platform !== undefined && platform !== null && !DEVICE_PLATFORMS.includes(platform)) {
+    return { error: `Platform must be one of: ${DEVICE_PLATFORMS.join(', ')}` };
+  }
+  if (appVersion !== undefined && appVersion !== null && (typeof appVersion !== 'string' || appVersion.length > 50)) {
+    return { error: 'Invalid app version' };
+  }
+
+  return {
+    device: {
+      token: token.trim(),
+      tokenType: tokenType || 'fcm',
+      platform: platform || null,
+      appVersion: appVersion?.trim() || null
+    }
+  };
+}
+
+/**
+ * Register a device token for a user, or refresh its last-seen time
+ * A token already registered to another user (e.g. after switching
+ * accounts on a shared device) moves to this user.
+ */
+async function registerDeviceToken(pool, { userId, token, tokenType, platform, appVersion }) {
+  const result = await pool.query(
+    `INSERT INTO device_tokens (token, user_id, token_type, platform, app_version)
+     VALUES ($1, $2, $5, $3, $4)
+     ON CONFLICT (token) DO UPDATE
+     SET user_id = EXCLUDED.user_id,
+         token_type = EXCLUDED.token_type,
+         platform = COALESCE(EXCLUDED.platform, device_tokens.platform),
+         app_version = COALESCE(EXCLUDED.app_version, device_tokens.app_version),
+         last_seen_at = NOW(),
+         created_at = CASE WHEN device_tokens.user_id = EXCLUDED.user_id THEN device_tokens.created_at ELSE NOW() END
+     RETURNING token, token_type, platform, app_version, created_at, last_seen_at`,
+    [token, userId, platform, appVersion, tokenType]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Remove one of a user's device tokens (e.g. on sign-out)
+ * @returns {Promise<boolean>} Whether the token was registered to the user
+ */
+async function unregisterDeviceToken(pool, { userId, token }) {
+  const result = await pool.query('DELETE FROM device_tokens WHERE token = $1 AND user_id = $2', [token, userId]);
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  DEVICE_PLATFORMS,
+  DEVICE_TOKEN_TYPES,
+  parseDeviceRegistration,
+  registerDeviceToken,
+  unregisterDeviceToken
+};
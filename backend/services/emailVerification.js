@@ -0,0 +1,57 @@
+/**
+ * Email verification token service
+ *
+ * Tokens are single-use, expire after EMAIL_VERIFICATION_TTL_HOURS and only
+ * their SHA-256 hash is stored.
+ */
+
+const { generateOpaqueToken, hashToken } = require('../utils/tokens');
+
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24;
+
+/**
+ * Create a verification token for a user, invalidating any earlier unused ones
+ * @returns {Promise<string>} The plaintext token to email to the user
+ */
+async function createEmailVerificationToken(pool, userId) {
+  const token = generateOpaqueToken();
+
+  await pool.query(
+    'UPDATE email_verification_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+
+  await pool.query(
+    `INSERT INTO email_verification_tokens (user_id, token_hash, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(hours => $3))`,
+    [userId, hashToken(token), EMAIL_VERIFICATION_TTL_HOURS]
+  );
+
+  return token;
+}
+
+/**
+ * Atomically mark a verification token as used
+ * @param {Object} client - Pool or transaction client
+ * @returns {Promise<number|null>} The user ID the token belonged to, or null if invalid
+ */
+async function consumeEmailVerificationToken(client, token) {
+  if (!token || typeof token !== 'string' || token.length > 200) {
+    return null;
+  }
+
+  const result = await client.query(
+    `UPDATE email_verification_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(token)]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+}
+
+module.exports = {
+  EMAIL_VERIFICATION_TTL_HOURS,
+  createEmailVerificationToken,
+  consumeEmailVerificationToken
+};
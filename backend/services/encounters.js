@@ -0,0 +1,165 @@
+/**
+ * Proximity encounters ledger
+ *
+ * The app reports each Karass beacon it detects over BLE using the rotating
+ * beacon ID it sighted (see services/beaconIds.js), so only genuine sightings
+ * of the current beacon are recorded. Sightings of the same user by the same
+ * observer within ENCOUNTER_DEDUPE_WINDOW_MINUTES of an existing encounter
+ * are merged into it. Any encounter unlocks the observer; the first one also
+ * records who sponsored them (see services/lineage.js), and tells the
+ * sponsor in their inbox.
+ */
+
+const { resolveBeaconId, recordBeaconIdObserver } = require('./beaconIds');
+const { assignSponsor } = require('./lineage');
+const { createNotification } = require('./notifications');
+const { withTransaction } = require('../utils/database');
+
+const ENCOUNTER_DEDUPE_WINDOW_MINUTES = parseInt(process.env.ENCOUNTER_DEDUPE_WINDOW_MINUTES, 10) || 10;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000; // Tolerate device clocks up to 5 minutes off
+const MAX_BEACON_ID_LENGTH = 128;
+
+/**
+ * Validate a sighting reported by the app
+ * @returns {{sighting?: {beaconId: string, rssi: number, seenAt: Date}, error?: string}}
+ */
+function parseSighting(body) {
+  const { beaconId, rssi, seenAt } = body || {};
+
+  if (!beaconId || typeof beaconId !== 'string' || beaconId.length > MAX_BEACON_ID_LENGTH) {
+    return { error: 'Invalid beacon ID' };
+  }
+  if (!Number.isInteger(rssi) || rssi < -127 || rssi > 20) {
+    return { error: 'RSSI must be an integer between -127 and 20 dBm' };
+  }
+
+  if (seenAt !== undefined && typeof seenAt !== 'string') {
+    return { error: 'Invalid timestamp' };
+  }
+
+  const now = Date.now();
+  const seen = seenAt === undefined ? new Date(now) : new Date(seenAt);
+  if (Number.isNaN(seen.getTime())) {
+    return { error: 'Invalid timestamp' };
+  }
+  if (seen.getTime() > now + MAX_CLOCK_SKEW_MS) {
+    return { error: 'Timestamp is in the future' };
+  }
+
+  return { sighting: { beaconId, rssi, seenAt: seen } };
+}
+
+/**
+ * Record a beacon sighting, merging it into a recent encounter if there is one
+ * @param {{beaconId: string, rssi: number, seenAt: Date}} sighting
+ * @returns {Promise<{encounter?: Object, merged?: boolean, error?: string}>}
+ */
+async function recordSighting(pool, observerId, { beaconId, rssi, seenAt }) {
+  return withTransaction(pool, async (client) => {
+    const beacon = await resolveBeaconId(client, beaconId);
+    if (!beacon) {
+      return { error: 'Invalid or expired beacon ID' };
+    }
+    if (beacon.userId === observerId) {
+      return { error: 'Cannot record an encounter with your own beacon' };
+    }
+    // A sighting can't predate the ID it reports (allowing for device clock skew)
+    if (seenAt.getTime() < beacon.validFrom.getTime() - MAX_CLOCK_SKEW_MS) {
+      return { error: 'Sighting time is outside the beacon ID validity window' };
+    }
+    // Caps how widely one captured ID can be relayed
+    if (!(await recordBeaconIdObserver(client, beacon.nonce, observerId))) {
+      return { error: 'Beacon ID has been reported by too many users' };
+    }
+    const observedUserId = beacon.userId;
+
+    // Serialize sightings of the same user by the same observer so
+    // concurrent reports can't both create an encounter
+    await client.query('SELECT pg_advisory_xact_lock($1, $2)', [observerId, observedUserId]);
+
+    const merged = await client.query(
+      `UPDATE encounters
+       SET first_seen_at = LEAST(first_seen_at, $3::timestamptz),
+           last_seen_at = GREATEST(last_seen_at, $3::timestamptz),
+           sighting_count = sighting_count + 1,
+           last_rssi = CASE WHEN $3::timestamptz >= last_seen_at THEN $4 ELSE last_rssi END,
+           beacon_id = CASE WHEN $3::timestamptz >= last_seen_at THEN $2 ELSE beacon_id END,
+           max_rssi = GREATEST(max_rssi, $4)
+       WHERE id = (
+         SELECT id FROM encounters
+         WHERE observer_id = $1 AND observed_user_id = $5
+           AND $3::timestamptz BETWEEN first_seen_at - make_interval(mins => $6) AND last_seen_at + make_interval(mins => $6)
+         ORDER BY last_seen_at DESC
+         LIMIT 1
+       )
+       RETURNING *, (SELECT username FROM users WHERE id = observed_user_id) AS observed_username`,
+      [observerId, beaconId, seenAt, rssi, observedUserId, ENCOUNTER_DEDUPE_WINDOW_MINUTES]
+    );
+
+    let encounter;
+    if (merged.rows.length > 0) {
+      encounter = merged.rows[0];
+    } else {
+      const inserted = await client.query(
+        `INSERT INTO encounters (observer_id, beacon_id, observed_user_id, first_seen_at, last_seen_at, last_rssi, max_rssi)
+         VALUES ($1, $2, $3, $4::timestamptz, $4::timestamptz, $5, $5)
+         RETURNING *, (SELECT username FROM users WHERE id = observed_user_id) AS observed_username`,
+        [observerId, beaconId, observedUserId, seenAt, rssi]
+      );
+      encounter = inserted.rows[0];
+    }
+
+    if (await assignSponsor(client, observerId, observedUserId, seenAt)) {
+      const observer = await client.query('SELECT username FROM users WHERE id = $1', [observerId]);
+      const username = observer.rows[0].username;
+      await createNotification(client, {
+        userId: observedUserId,
+        type: 'unlocked_user_joined',
+        title: 'Someone joined through you',
+        body: `${username} unlocked Karass by meeting you.`,
+        data: { userId: String(observerId), username },
+        dedupeKey: `unlocked_user_joined:${observerId}`
+      });
+    }
+
+    return { encounter, merged: merged.rows.length > 0 };
+  });
+}
+
+/**
+ * List a user's encounters, newest first
+ * @param {{limit: number, before?: number}} options - before: encounter ID cursor
+ */
+async function listEncounters(pool, observerId, { limit, before }) {
+  const result = await pool.query(
+    `SELECT e.*, u.username AS observed_username
+     FROM encounters e
+     LEFT JOIN users u ON e.observed_user_id = u.id
+     WHERE e.observer_id = $1 AND ($2::int IS NULL OR e.id < $2)
+     ORDER BY e.id DESC
+     LIMIT $3`,
+    [observerId, before || null, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Whether a user has met a beacon holder, and when they first did
+ * @returns {Promise<{unlocked: boolean, unlockedAt: Date|null}>}
+ */
+async function getUnlockState(pool, userId) {
+  const result = await pool.query(
+    'SELECT MIN(first_seen_at) AS unlocked_at FROM encounters WHERE observer_id = $1',
+    [userId]
+  );
+  const unlockedAt = result.rows[0].unlocked_at;
+  return { unlocked: unlockedAt !== null, unlockedAt };
+}
+
+module.exports = {
+  ENCOUNTER_DEDUPE_WINDOW_MINUTES,
+  parseSighting,
+  recordSighting,
+  listEncounters,
+  getUnlockState
+};
@@ -1,54 +1,193 @@
 /**
- * Firebase Cloud Messaging service
+ * Firebase Cloud Messaging (HTTP v1) push transport, used by services/push.js
+ *
+ * Service account credentials come from FCM_SERVICE_ACCOUNT_JSON (the key
+ * file's contents, optionally base64-encoded) or the file at
+ * FCM_SERVICE_ACCOUNT_PATH (default: backend/service-account.json). The
+ * project ID is FCM_PROJECT_ID, or the service account's project_id. Without
+ * credentials push notifications are disabled.
+ *
+ * Credentials are read once. Access tokens are cached until shortly before
+ * they expire, and concurrent sends share a single refresh.
+ *
+ * FCM_BASE_URL points sends at a stand-in server (e.g. a fake in tests).
+ * A stand-in needs only FCM_PROJECT_ID; requests go without a token when
+ * no credentials are configured.
  */
 
 const fs = require('fs');
 const path = require('path');
+const http = require('http');
 const https = require('https');
 const { google } = require('googleapis');
 
-const FCM_PROJECT_ID = process.env.FCM_PROJECT_ID || 'karass-b41bc';
-const SERVICE_ACCOUNT_PATH = path.join(__dirname, '..', 'service-account.json');
+const DEFAULT_SERVICE_ACCOUNT_PATH = path.join(__dirname, '..', 'service-account.json');
+const FCM_BASE_URL = process.env.FCM_BASE_URL || 'https://fcm.googleapis.com';
+const USES_STAND_IN = Boolean(process.env.FCM_BASE_URL);
+const FCM_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+const FCM_TIMEOUT_MS = 10000;
+
+// FCM error codes meaning the device token will never work again
+const INVALID_TOKEN_ERRORS = ['UNREGISTERED', 'INVALID_ARGUMENT'];
+
+let fcmConfig = null;
+let cachedToken = null; // { accessToken, expiresAt }
+let tokenRefresh = null;
+let lastAuthError = null;
 
 /**
- * Get OAuth2 access token for FCM
+ * Read the service account from the environment or a key file
+ * @returns {{serviceAccount?: Object, source: string, error?: string}|null} null if none is configured
  */
-async function getAccessToken() {
-  if (!fs.existsSync(SERVICE_ACCOUNT_PATH)) {
-    console.log('Warning: service-account.json not found. Push notifications disabled.');
-    return null;
+function readServiceAccount() {
+  const inline = process.env.FCM_SERVICE_ACCOUNT_JSON?.trim();
+  if (inline) {
+    try {
+      const json = inline.startsWith('{') ? inline : Buffer.from(inline, 'base64').toString('utf8');
+      return { serviceAccount: JSON.parse(json), source: 'env' };
+    } catch (error) {
+      return { source: 'env', error: 'FCM_SERVICE_ACCOUNT_JSON is not valid JSON' };
+    }
+  }
+
+  const filePath = process.env.FCM_SERVICE_ACCOUNT_PATH || DEFAULT_SERVICE_ACCOUNT_PATH;
+  if (!fs.existsSync(filePath)) {
+    // Only an error if a path was given explicitly
+    return process.env.FCM_SERVICE_ACCOUNT_PATH
+      ? { source: 'file', error: `Service account file not found: ${filePath}` }
+      : null;
   }
+  try {
+    return { serviceAccount: JSON.parse(fs.readFileSync(filePath, 'utf8')), source: 'file' };
+  } catch (error) {
+    return { source: 'file', error: `Could not read service account file: ${error.message}` };
+  }
+}
+
+/**
+ * Load and validate the FCM configuration (once)
+ * @returns {{status: 'ok'|'disabled'|'error', source?: string, projectId?: string,
+ *   clientEmail?: string, privateKey?: string, error?: string}}
+ */
+function getFcmConfig() {
+  if (fcmConfig) return fcmConfig;
 
-  const serviceAccount = JSON.parse(fs.readFileSync(SERVICE_ACCOUNT_PATH, 'utf8'));
-  const jwtClient = new google.auth.JWT(
-    serviceAccount.client_email,
-    null,
-    serviceAccount.private_key,
-    ['https://www.googleapis.com/auth/firebase.messaging']
-  );
+  const loaded = readServiceAccount();
+  if (!loaded && USES_STAND_IN && process.env.FCM_PROJECT_ID) {
+    fcmConfig = { status: 'ok', source: 'none', projectId: process.env.FCM_PROJECT_ID };
+  } else if (!loaded) {
+    fcmConfig = { status: 'disabled', error: 'No service account configured' };
+  } else if (loaded.error) {
+    fcmConfig = { status: 'error', source: loaded.source, error: loaded.error };
+  } else {
+    const { client_email: clientEmail, private_key: privateKey, project_id: accountProjectId } = loaded.serviceAccount;
+    const projectId = process.env.FCM_PROJECT_ID || accountProjectId;
+    if (!clientEmail || !privateKey) {
+      fcmConfig = { status: 'error', source: loaded.source, error: 'Service account is missing client_email or private_key' };
+    } else if (!projectId) {
+      fcmConfig = { status: 'error', source: loaded.source, error: 'Set FCM_PROJECT_ID; the service account has no project_id' };
+    } else {
+      fcmConfig = { status: 'ok', source: loaded.source, projectId, clientEmail, privateKey };
+    }
+  }
+  return fcmConfig;
+}
 
+/**
+ * Mint a new OAuth2 access token from the service account
+ */
+async function fetchAccessToken(config) {
+  const jwtClient = new google.auth.JWT(config.clientEmail, null, config.privateKey, [FCM_SCOPE]);
   const tokens = await jwtClient.authorize();
-  return tokens.access_token;
+  return {
+    accessToken: tokens.access_token,
+    // Tokens normally last an hour
+    expiresAt: tokens.expiry_date || Date.now() + 60 * 60 * 1000
+  };
+}
+
+/**
+ * Get OAuth2 access token for FCM, from the cache while it's fresh
+ * @returns {Promise<string|null>} null if push notifications aren't configured,
+ *   or a stand-in server is used without credentials
+ */
+async function getAccessToken() {
+  const config = getFcmConfig();
+  if (config.status !== 'ok' || config.source === 'none') return null;
+
+  if (cachedToken && cachedToken.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+    return cachedToken.accessToken;
+  }
+
+  if (!tokenRefresh) {
+    tokenRefresh = fetchAccessToken(config)
+      .then((token) => {
+        cachedToken = token;
+        lastAuthError = null;
+        return token.accessToken;
+      }, (error) => {
+        lastAuthError = error.message;
+        throw error;
+      })
+      .finally(() => {
+        tokenRefresh = null;
+      });
+  }
+  return tokenRefresh;
+}
+
+/**
+ * Check the FCM configuration at startup and try fetching an access token
+ * Problems are logged and reported by getFcmStatus(); they never stop the server.
+ */
+async function checkFcmConfig() {
+  const config = getFcmConfig();
+  if (config.status === 'disabled') {
+    console.log('Warning: no FCM service account configured. Push notifications disabled.');
+  } else if (config.status === 'error') {
+    console.error('FCM configuration error:', config.error);
+  } else {
+    try {
+      await getAccessToken();
+      console.log(`FCM configured for project ${config.projectId} (credentials from ${config.source}, sending to ${FCM_BASE_URL})`);
+    } catch (error) {
+      console.error('FCM auth error:', error.message);
+    }
+  }
+  return getFcmStatus();
 }
 
 /**
- * Send FCM push notification to a topic
+ * FCM configuration state for the push status endpoint (no secrets)
+ * @returns {{status: 'ok'|'disabled'|'error', projectId: string|null, credentials: string|null,
+ *   baseUrl: string, error: string|null}}
  */
-async function sendPushToTopic(topic, title, body, data = {}) {
-  const accessToken = await getAccessToken();
-  if (!accessToken) return false;
+function getFcmStatus() {
+  const config = getFcmConfig();
+  const error = config.error || (config.status === 'ok' ? lastAuthError : null);
+  return {
+    status: error && config.status === 'ok' ? 'error' : config.status,
+    projectId: config.projectId || null,
+    credentials: config.source || null,
+    baseUrl: FCM_BASE_URL,
+    error: error || null
+  };
+}
 
-  const message = {
+/**
+ * Build an FCM v1 message for a target ({ topic } or { token })
+ */
+function buildMessage(target, title, body, data) {
+  return {
     message: {
-      topic: topic,
+      ...target,
       notification: {
         title: title,
         body: body
       },
-      data: {
-        ...data,
-        type: 'announcement'
-      },
+      data: data,
       android: {
         priority: 'high',
         notification: {
@@ -68,39 +207,102 @@ async function sendPushToTopic(topic, title, body, data = {}) {
       }
     }
   };
+}
+
+/**
+ * The FCM error code from an error response body, e.g. 'UNREGISTERED'
+ * Falls back to the Google API status (e.g. 'INVALID_ARGUMENT').
+ */
+function getErrorCode(data) {
+  try {
+    const { error } = JSON.parse(data);
+    const fcmError = (error?.details || []).find(detail => detail.errorCode);
+    return fcmError?.errorCode || error?.status || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Milliseconds to wait from a Retry-After header (seconds or an HTTP date)
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value)) return parseInt(value, 10) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Send an FCM v1 message
+ * @returns {Promise<Object>} Delivery result:
+ *   sent, messageId (FCM message name), statusCode, errorCode (e.g. 'UNREGISTERED'), error,
+ *   retryable (401, 429, 5xx or network error), retryAfterMs (from Retry-After),
+ *   invalidToken (the device token will never work again)
+ */
+async function sendMessage(message) {
+  let accessToken;
+  try {
+    accessToken = await getAccessToken();
+  } catch (error) {
+    console.error('FCM auth error:', error.message);
+    return { sent: false, retryable: true, error: `Authorization failed: ${error.message}` };
+  }
+  const config = getFcmConfig();
+  if (config.status !== 'ok') {
+    return { sent: false, retryable: false, error: `Push notifications are not configured: ${config.error}` };
+  }
 
   return new Promise((resolve) => {
     const postData = JSON.stringify(message);
+    const url = new URL(`/v1/projects/${config.projectId}/messages:send`, FCM_BASE_URL);
 
     const options = {
-      hostname: 'fcm.googleapis.com',
-      port: 443,
-      path: `/v1/projects/${FCM_PROJECT_ID}/messages:send`,
       method: 'POST',
       headers: {
-        'Authorization': `Bearer ${accessToken}`,
+        ...(accessToken && { 'Authorization': `Bearer ${accessToken}` }),
         'Content-Type': 'application/json',
         'Content-Length': Buffer.byteLength(postData)
       }
     };
 
-    const req = https.request(options, (res) => {
+    const req = (url.protocol === 'http:' ? http : https).request(url, options, (res) => {
       let data = '';
       res.on('data', (chunk) => data += chunk);
       res.on('end', () => {
         if (res.statusCode === 200) {
-          console.log('Push notification sent successfully');
-          resolve(true);
+          let messageId = null;
+          try {
+            messageId = JSON.parse(data).name || null;
+          } catch (error) {
+            // Accepted all the same
+          }
+          resolve({ sent: true, statusCode: 200, messageId });
         } else {
           console.log('FCM response:', res.statusCode, data);
-          resolve(false);
+          if (res.statusCode === 401) {
+            // Revoked or expired early; fetch a new one next time
+            cachedToken = null;
+          }
+          const errorCode = getErrorCode(data);
+          resolve({
+            sent: false,
+            statusCode: res.statusCode,
+            errorCode,
+            error: `FCM responded ${res.statusCode}${errorCode ? ` ${errorCode}` : ''}`,
+            retryable: res.statusCode === 401 || res.statusCode === 429 || res.statusCode >= 500,
+            retryAfterMs: parseRetryAfter(res.headers['retry-after']),
+            invalidToken: Boolean(message.message.token) && INVALID_TOKEN_ERRORS.includes(errorCode)
+          });
         }
       });
     });
 
+    req.setTimeout(FCM_TIMEOUT_MS, () => req.destroy(new Error('FCM request timed out')));
+
     req.on('error', (e) => {
       console.error('FCM error:', e.message);
-      resolve(false);
+      resolve({ sent: false, retryable: true, error: e.message });
     });
 
     req.write(postData);
@@ -108,7 +310,21 @@ async function sendPushToTopic(topic, title, body, data = {}) {
   });
 }
 
+/**
+ * Create the FCM push transport
+ */
+function createFcmTransport() {
+  return {
+    name: 'fcm',
+    supportsTopics: true,
+    tokenType: 'fcm',
+    send: (target, { title, body, data }) => sendMessage(buildMessage(target, title, body, data)),
+    check: checkFcmConfig,
+    getStatus: getFcmStatus
+  };
+}
+
 module.exports = {
-  getAccessToken,
-  sendPushToTopic
+  parseRetryAfter,
+  createFcmTransport
 };
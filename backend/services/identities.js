@@ -0,0 +1,184 @@
+/**
+ * Linked login identities (user_identities table)
+ *
+ * OAuth identities live in user_identities. Providers with legacy columns on
+ * users (twitter_id/twitter_handle, github_id/github_handle) are still
+ * written there as well, so instances running older code keep working while
+ * a deploy rolls out. Email/password login is not an identity row; it counts
+ * as a login method when users.password is set.
+ */
+
+const { validateIdentifier, withTransaction } = require('../utils/database');
+
+/**
+ * Get validated legacy column names for a provider, or null if it has none
+ */
+function getLegacyColumns(provider) {
+  if (!provider.legacyColumns) return null;
+  return {
+    idColumn: validateIdentifier(provider.legacyColumns.id, 'column name'),
+    handleColumn: validateIdentifier(provider.legacyColumns.handle, 'column name')
+  };
+}
+
+/**
+ * Find the user ID owning a provider identity
+ * Falls back to legacy columns for identities written by older instances,
+ * backfilling the identity row when one is found.
+ * @param {Object} client - Pool or transaction client
+ * @returns {Promise<number|null>}
+ */
+async function findUserIdByIdentity(client, provider, providerUserId) {
+  const result = await client.query(
+    'SELECT user_id FROM user_identities WHERE provider = $1 AND provider_user_id = $2',
+    [provider.id, providerUserId]
+  );
+  if (result.rows.length > 0) {
+    return result.rows[0].user_id;
+  }
+
+  const legacy = getLegacyColumns(provider);
+  if (!legacy) return null;
+
+  const legacyResult = await client.query(
+    `SELECT id, ${legacy.handleColumn} AS handle FROM users WHERE ${legacy.idColumn} = $1`,
+    [providerUserId]
+  );
+  if (legacyResult.rows.length === 0) return null;
+
+  const userId = legacyResult.rows[0].id;
+  await client.query(
+    `INSERT INTO user_identities (user_id, provider, provider_user_id, handle)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT DO NOTHING`,
+    [userId, provider.id, providerUserId, legacyResult.rows[0].handle]
+  );
+  return userId;
+}
+
+/**
+ * Attach an identity to a user, replacing any earlier identity from the same provider
+ * @param {Object} client - Pool or transaction client
+ */
+async function saveIdentity(client, userId, provider, profile) {
+  await client.query(
+    `INSERT INTO user_identities (user_id, provider, provider_user_id, handle, email)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (user_id, provider) DO UPDATE
+     SET provider_user_id = EXCLUDED.provider_user_id,
+         handle = EXCLUDED.handle,
+         email = EXCLUDED.email,
+         created_at = CURRENT_TIMESTAMP,
+         last_used_at = NULL`,
+    [userId, provider.id, profile.providerUserId, profile.handle, profile.email || null]
+  );
+
+  const legacy = getLegacyColumns(provider);
+  if (legacy) {
+    await client.query(
+      `UPDATE users SET ${legacy.idColumn} = $1, ${legacy.handleColumn} = $2 WHERE id = $3`,
+      [profile.providerUserId, profile.handle, userId]
+    );
+  }
+}
+
+/**
+ * Record that an identity was just used to sign in
+ * @param {Object} client - Pool or transaction client
+ */
+async function touchIdentity(client, provider, providerUserId) {
+  await client.query(
+    'UPDATE user_identities SET last_used_at = NOW() WHERE provider = $1 AND provider_user_id = $2',
+    [provider.id, providerUserId]
+  );
+}
+
+/**
+ * List a user's login methods
+ * @returns {Promise<{hasPassword: boolean, identities: Object[]}>}
+ */
+async function listIdentities(pool, userId) {
+  const userResult = await pool.query('SELECT password IS NOT NULL AS has_password FROM users WHERE id = $1', [userId]);
+  const result = await pool.query(
+    `SELECT provider, provider_user_id, handle, email, created_at, last_used_at
+     FROM user_identities WHERE user_id = $1 ORDER BY created_at`,
+    [userId]
+  );
+  return {
+    hasPassword: userResult.rows[0]?.has_password || false,
+    identities: result.rows
+  };
+}
+
+/**
+ * Unlink a provider from a user, refusing to remove the last login method
+ * @returns {Promise<{error?: string, status?: number}>}
+ */
+async function removeIdentity(pool, userId, provider) {
+  return withTransaction(pool, async (client) => {
+    // Lock the user row so concurrent unlinks can't both pass the check
+    const userResult = await client.query(
+      'SELECT password IS NOT NULL AS has_password FROM users WHERE id = $1 FOR UPDATE',
+      [userId]
+    );
+    if (userResult.rows.length === 0) {
+      return { status: 404, error: 'User not found' };
+    }
+
+    const identities = await client.query(
+      'SELECT provider FROM user_identities WHERE user_id = $1',
+      [userId]
+    );
+    if (!identities.rows.some(row => row.provider === provider.id)) {
+      return { status: 404, error: `No ${provider.displayName} account is linked` };
+    }
+
+    const loginMethods = identities.rows.length + (userResult.rows[0].has_password ? 1 : 0);
+    if (loginMethods <= 1) {
+      return { status: 400, error: 'Cannot remove your only sign-in method' };
+    }
+
+    await client.query('DELETE FROM user_identities WHERE user_id = $1 AND provider = $2', [userId, provider.id]);
+
+    const legacy = getLegacyColumns(provider);
+    if (legacy) {
+      await client.query(
+        `UPDATE users SET ${legacy.idColumn} = NULL, ${legacy.handleColumn} = NULL WHERE id = $1`,
+        [userId]
+      );
+    }
+
+    return {};
+  });
+}
+
+/**
+ * Copy identities from legacy users columns into user_identities
+ * Idempotent, so it is safe to run on every boot
+ */
+async function backfillLegacyIdentities(pool, providers) {
+  for (const [id, provider] of Object.entries(providers)) {
+    const legacy = getLegacyColumns(provider);
+    if (!legacy) continue;
+
+    const result = await pool.query(
+      `INSERT INTO user_identities (user_id, provider, provider_user_id, handle, email)
+       SELECT id, $1, ${legacy.idColumn}, ${legacy.handleColumn}, NULL
+       FROM users WHERE ${legacy.idColumn} IS NOT NULL
+       ON CONFLICT DO NOTHING`,
+      [id]
+    );
+    if (result.rowCount > 0) {
+      console.log(`Backfilled ${result.rowCount} ${provider.displayName} identities`);
+    }
+  }
+}
+
+module.exports = {
+  findUserIdByIdentity,
+  saveIdentity,
+  touchIdentity,
+  listIdentities,
+  removeIdentity,
+  backfillLegacyIdentities
+};
@@ -0,0 +1,193 @@
+/**
+ * Persistent job scheduler
+ *
+ * Jobs live in scheduled_jobs, so they survive restarts. Every instance
+ * polls for due jobs, and claiming uses FOR UPDATE SKIP LOCKED so each job
+ * runs on exactly one instance. Jobs are claimed one at a time, just before
+ * they run, so locked_at is when the job started. Failed jobs are retried
+ * with backoff up to JOB_MAX_ATTEMPTS. A job left running by an instance
+ * that died is put back in the queue after JOB_STALE_AFTER_MS; if the
+ * instance turns out to be alive, its outcome is discarded.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const { createPoller } = require('../utils/poller');
+
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 5000;
+const JOB_MAX_ATTEMPTS = 5;
+const JOB_RETRY_BASE_SECONDS = 30;
+const JOB_STALE_AFTER_MS = 5 * 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+/**
+ * Queue a job, or move the pending job with the same key to the new time
+ * @param {Object} client - Pool or transaction client
+ * @param {{type: string, key?: string, payload?: Object, runAt: Date}} job
+ * @returns {Promise<Object>} The pending job row
+ */
+async function scheduleJob(client, { type, key = null, payload = {}, runAt }) {
+  const result = await client.query(
+    `INSERT INTO scheduled_jobs (type, key, payload, run_at)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (key) WHERE status = 'pending'
+     DO UPDATE SET type = EXCLUDED.type, payload = EXCLUDED.payload, run_at = EXCLUDED.run_at
+     RETURNING *`,
+    [type, key, JSON.stringify(payload), runAt]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Move the pending job with a key to a new time (no-op if none is pending)
+ * @returns {Promise<boolean>} Whether a pending job was moved
+ */
+async function rescheduleJob(client, key, runAt) {
+  const result = await client.query(
+    `UPDATE scheduled_jobs SET run_at = $2 WHERE key = $1 AND status = 'pending'`,
+    [key, runAt]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Cancel the pending job with a key
+ * @returns {Promise<boolean>} Whether a pending job was cancelled
+ */
+async function cancelJob(client, key) {
+  const result = await client.query(
+    `UPDATE scheduled_jobs SET status = 'cancelled', finished_at = NOW() WHERE key = $1 AND status = 'pending'`,
+    [key]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Whether a job with a key is running or has completed
+ */
+async function hasJobRun(client, key) {
+  const result = await client.query(
+    `SELECT 1 FROM scheduled_jobs WHERE key = $1 AND status IN ('running', 'completed') LIMIT 1`,
+    [key]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Claim the next due job for this instance
+ * @returns {Promise<Object|null>} The claimed job, or null if none is due
+ */
+async function claimNextJob(pool) {
+  const result = await pool.query(
+    `UPDATE scheduled_jobs
+     SET status = 'running', locked_at = NOW(), locked_by = $1, attempts = attempts + 1
+     WHERE id = (
+       SELECT id FROM scheduled_jobs
+       WHERE status = 'pending' AND run_at <= NOW()
+       ORDER BY run_at
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [WORKER_ID]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Requeue jobs whose instance stopped while running them
+ * A job is given up on instead if it's out of attempts or a newer job with
+ * its key has been queued since.
+ */
+async function requeueStaleJobs(pool) {
+  const result = await pool.query(
+    `WITH stale AS (
+       SELECT j.id,
+              j.attempts >= $2 OR EXISTS (
+                SELECT 1 FROM scheduled_jobs p WHERE p.key = j.key AND p.status = 'pending'
+              ) AS give_up
+       FROM scheduled_jobs j
+       WHERE j.status = 'running' AND j.locked_at < NOW() - make_interval(secs => $1)
+       FOR UPDATE SKIP LOCKED
+     )
+     UPDATE scheduled_jobs
+     SET status = CASE WHEN stale.give_up THEN 'failed' ELSE 'pending' END,
+         last_error = 'Worker stopped while running the job',
+         locked_at = NULL, locked_by = NULL,
+         finished_at = CASE WHEN stale.give_up THEN NOW() ELSE NULL END
+     FROM stale
+     WHERE scheduled_jobs.id = stale.id`,
+    [JOB_STALE_AFTER_MS / 1000, JOB_MAX_ATTEMPTS]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Run one claimed job and record the outcome
+ * The outcome is only recorded while this instance still holds the job;
+ * if it was requeued as stale in the meantime, the job's new owner decides.
+ */
+async function runJob(pool, handlers, job) {
+  const handler = handlers[job.type];
+  let result;
+  try {
+    if (!handler) {
+      throw new Error(`No handler for job type "${job.type}"`);
+    }
+    await handler(job.payload, job);
+    result = await pool.query(
+      `UPDATE scheduled_jobs SET status = 'completed', finished_at = NOW(), locked_at = NULL, last_error = NULL
+       WHERE id = $1 AND status = 'running' AND locked_by = $2`,
+      [job.id, WORKER_ID]
+    );
+  } catch (error) {
+    const retry = handler && job.attempts < JOB_MAX_ATTEMPTS;
+    console.error(`Job ${job.id} (${job.type}) failed on attempt ${job.attempts}:`, error.message);
+    // Back off 30s, 60s, 120s, ... between attempts
+    result = await pool.query(
+      `UPDATE scheduled_jobs
+       SET status = $2, last_error = $3, locked_at = NULL, locked_by = NULL,
+           run_at = CASE WHEN $2 = 'pending' THEN NOW() + make_interval(secs => $4) ELSE run_at END,
+           finished_at = CASE WHEN $2 = 'failed' THEN NOW() ELSE NULL END
+       WHERE id = $1 AND status = 'running' AND locked_by = $5`,
+      [job.id, retry ? 'pending' : 'failed', error.message.substring(0, 1000),
+        JOB_RETRY_BASE_SECONDS * 2 ** (job.attempts - 1), WORKER_ID]
+    );
+  }
+  if (result.rowCount === 0) {
+    console.error(`Job ${job.id} (${job.type}) was requeued as stale while running; outcome discarded`);
+  }
+}
+
+/**
+ * Create a runner that polls for due jobs and dispatches them by type
+ * @param {Object<string, function(Object, Object): Promise>} handlers - Job type => handler(payload, job)
+ * @returns {{start: Function, stop: Function, wake: Function}}
+ *   wake() polls immediately, e.g. after queueing a job that is already due;
+ *   stop() resolves once the job in progress (if any) has finished
+ */
+function createJobRunner(pool, handlers, { pollIntervalMs = JOB_POLL_INTERVAL_MS } = {}) {
+  let lastStaleCheck = 0;
+
+  return createPoller(async (isStopped) => {
+    if (Date.now() - lastStaleCheck > JOB_STALE_AFTER_MS / 5) {
+      lastStaleCheck = Date.now();
+      await requeueStaleJobs(pool);
+    }
+
+    while (!isStopped()) {
+      const job = await claimNextJob(pool);
+      if (!job) break;
+      await runJob(pool, handlers, job);
+    }
+  }, { intervalMs: pollIntervalMs, name: 'Job runner' });
+}
+
+module.exports = {
+  scheduleJob,
+  rescheduleJob,
+  cancelJob,
+  hasJobRun,
+  createJobRunner
+};
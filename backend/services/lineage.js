@@ -0,0 +1,145 @@
+/**
+ * Unlock lineage: who brought whom into the karass
+ *
+ * When a user first unlocks by meeting someone, that person becomes their
+ * sponsor (users.sponsor_id). Users who joined without meeting anyone are
+ * roots. Sponsorship is never assigned if it would create a cycle.
+ */
+
+// Serializes sponsor assignment so two concurrent unlocks can't form a cycle
+const LINEAGE_LOCK_ID = 4107207;
+
+/**
+ * Record a user's first unlock and, if it keeps the graph acyclic, their sponsor
+ * No-op if the user has already unlocked.
+ * @param {Object} client - Transaction client
+ * @returns {Promise<boolean>} Whether the sponsor was assigned
+ */
+async function assignSponsor(client, userId, sponsorId, unlockedAt) {
+  const current = await client.query('SELECT unlocked_at FROM users WHERE id = $1', [userId]);
+  if (current.rows.length === 0 || current.rows[0].unlocked_at) {
+    return false;
+  }
+
+  await client.query('SELECT pg_advisory_xact_lock($1)', [LINEAGE_LOCK_ID]);
+
+  // The sponsor must not descend from the user being unlocked
+  const cycle = await client.query(
+    `WITH RECURSIVE ancestors AS (
+       SELECT id, sponsor_id FROM users WHERE id = $1
+       UNION
+       SELECT u.id, u.sponsor_id FROM users u JOIN ancestors a ON u.id = a.sponsor_id
+     )
+     SELECT 1 FROM ancestors WHERE id = $2`,
+    [sponsorId, userId]
+  );
+  const sponsor = cycle.rows.length === 0 ? sponsorId : null;
+
+  const result = await client.query(
+    `UPDATE users SET sponsor_id = $2, unlocked_at = $3::timestamptz
+     WHERE id = $1 AND unlocked_at IS NULL`,
+    [userId, sponsor, unlockedAt]
+  );
+  return result.rowCount > 0 && sponsor !== null;
+}
+
+/**
+ * A user's sponsor chain, nearest sponsor first
+ */
+async function getSponsorChain(pool, userId) {
+  const result = await pool.query(
+    `WITH RECURSIVE chain AS (
+       SELECT u.id, u.username, u.sponsor_id, u.unlocked_at, 0 AS depth
+       FROM users u
+       WHERE u.id = (SELECT sponsor_id FROM users WHERE id = $1)
+       UNION
+       SELECT u.id, u.username, u.sponsor_id, u.unlocked_at, c.depth + 1
+       FROM users u JOIN chain c ON u.id = c.sponsor_id
+       WHERE c.depth < 1000
+     )
+     SELECT id, username, unlocked_at FROM chain ORDER BY depth`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Users a user unlocked directly, with the size of each one's own subtree
+ */
+async function getSponsoredUsers(pool, userId) {
+  const result = await pool.query(
+    `SELECT u.id, u.username, u.unlocked_at,
+            (WITH RECURSIVE subtree AS (
+               SELECT id FROM users WHERE sponsor_id = u.id
+               UNION
+               SELECT c.id FROM users c JOIN subtree s ON c.sponsor_id = s.id
+             )
+             SELECT COUNT(*)::int FROM subtree) AS descendant_count
+     FROM users u
+     WHERE u.sponsor_id = $1
+     ORDER BY u.unlocked_at`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * The whole lineage graph
+ * @returns {Promise<{nodes: Object[], edges: Object[]}>}
+ */
+async function getLineageGraph(pool) {
+  const result = await pool.query(
+    `SELECT id, username, is_admin, sponsor_id, unlocked_at, created_at
+     FROM users ORDER BY id`
+  );
+  return {
+    nodes: result.rows.map(row => ({
+      id: row.id.toString(),
+      username: row.username,
+      isAdmin: row.is_admin,
+      unlockedAt: row.unlocked_at,
+      createdAt: row.created_at
+    })),
+    edges: result.rows
+      .filter(row => row.sponsor_id)
+      .map(row => ({
+        from: row.sponsor_id.toString(),
+        to: row.id.toString(),
+        unlockedAt: row.unlocked_at
+      }))
+  };
+}
+
+/**
+ * Quote a string as a DOT identifier
+ */
+function dotQuote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, ' ')}"`;
+}
+
+/**
+ * Render a graph from getLineageGraph() as Graphviz DOT
+ * Admins are drawn as boxes; users who never unlocked are greyed out.
+ */
+function toDot(graph) {
+  const lines = ['digraph karass {', '  rankdir=TB;', '  node [shape=ellipse];'];
+  for (const node of graph.nodes) {
+    const attributes = [`label=${dotQuote(node.username)}`];
+    if (node.isAdmin) attributes.push('shape=box');
+    if (!node.unlockedAt) attributes.push('color=gray', 'fontcolor=gray');
+    lines.push(`  ${dotQuote(node.id)} [${attributes.join(', ')}];`);
+  }
+  for (const edge of graph.edges) {
+    lines.push(`  ${dotQuote(edge.from)} -> ${dotQuote(edge.to)};`);
+  }
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  assignSponsor,
+  getSponsorChain,
+  getSponsoredUsers,
+  getLineageGraph,
+  toDot
+};
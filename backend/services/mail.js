@@ -0,0 +1,167 @@
+/**
+ * Outgoing email service
+ *
+ * Transport is selected with MAIL_TRANSPORT:
+ *   smtp    - deliver through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+ *   file    - append each message as a JSON line to MAIL_FILE_PATH (offline testing)
+ *   console - log each message to stdout (default when SMTP is not configured)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Karass <no-reply@karass.app>';
+const MAIL_FILE_PATH = process.env.MAIL_FILE_PATH || path.join(__dirname, '..', 'mail.log');
+
+/**
+ * SMTP transport backed by nodemailer
+ */
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+/**
+ * File transport - writes one JSON object per line
+ */
+function createFileTransport(filePath = MAIL_FILE_PATH) {
+  return {
+    name: 'file',
+    async send(message) {
+      const entry = { ...message, sentAt: new Date().toISOString() };
+      await fs.promises.appendFile(filePath, JSON.stringify(entry) + '\n');
+      return { messageId: null };
+    }
+  };
+}
+
+/**
+ * Console transport - prints messages instead of sending them
+ */
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+      return { messageId: null };
+    }
+  };
+}
+
+/**
+ * Create the transport named by MAIL_TRANSPORT
+ */
+function createTransport(name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console')) {
+  switch (name) {
+    case 'smtp':
+      if (!process.env.SMTP_HOST) {
+        throw new Error('MAIL_TRANSPORT=smtp requires SMTP_HOST');
+      }
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport();
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+}
+
+let transport = null;
+
+/**
+ * Get the active transport, creating it on first use
+ */
+function getTransport() {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+}
+
+/**
+ * Replace the active transport (used by tests and local tooling)
+ */
+function setTransport(newTransport) {
+  transport = newTransport;
+}
+
+/**
+ * Send an email
+ * @returns {Promise<boolean>} Whether the transport accepted the message
+ */
+async function sendMail({ to, subject, text, html }) {
+  try {
+    await getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+    return true;
+  } catch (error) {
+    console.error('Mail send error:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Send a password reset link
+ */
+async function sendPasswordResetEmail(to, { username, resetUrl, expiresInMinutes }) {
+  return sendMail({
+    to,
+    subject: 'Reset your Karass password',
+    text: [
+      `Hi ${username},`,
+      '',
+      'Someone asked to reset the password for your Karass account.',
+      `Open this link to choose a new one (valid for ${expiresInMinutes} minutes):`,
+      '',
+      resetUrl,
+      '',
+      'If you did not ask for this, you can ignore this email.'
+    ].join('\n')
+  });
+}
+
+/**
+ * Send an email address verification link
+ */
+async function sendVerificationEmail(to, { username, verifyUrl, expiresInHours }) {
+  return sendMail({
+    to,
+    subject: 'Verify your Karass email address',
+    text: [
+      `Hi ${username},`,
+      '',
+      'Please confirm this is your email address by opening this link',
+      `(valid for ${expiresInHours} hours):`,
+      '',
+      verifyUrl,
+      '',
+      'If you did not create a Karass account, you can ignore this email.'
+    ].join('\n')
+  });
+}
+
+module.exports = {
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  createTransport,
+  setTransport,
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
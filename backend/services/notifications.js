@@ -0,0 +1,118 @@
+/**
+ * In-app notification inbox
+ *
+ * Each user has their own inbox, fed by system events: approval decisions,
+ * a user they unlocked joining, being assigned the beacon, and announcements
+ * targeted at them. Announcements for everyone are not copied into every
+ * inbox; the app lists those from /api/announcements.
+ *
+ * Recording a notification never sends a push; callers queue one through
+ * services/pushOutbox.js if they want it.
+ */
+
+const NOTIFICATION_COLUMNS = 'id, type, title, body, data, read_at, created_at';
+
+/**
+ * Add a notification to a user's inbox
+ * @param {Object} client - Pool or transaction client
+ * @param {Object} notification
+ * @param {string} notification.type - approval_decision, unlocked_user_joined, beacon_assigned
+ *   or announcement; the app routes on it
+ * @param {Object} [notification.data] - Whatever the app needs to open it, e.g. an announcementId
+ * @param {string} [notification.dedupeKey] - A notification with the same key is only recorded once
+ * @returns {Promise<Object|null>} The new row, or null if it was a duplicate
+ */
+async function createNotification(client, { userId, type, title, body, data = {}, dedupeKey = null }) {
+  const result = await client.query(
+    `INSERT INTO notifications (user_id, type, title, body, data, dedupe_key)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (dedupe_key) DO NOTHING
+     RETURNING ${NOTIFICATION_COLUMNS}`,
+    [userId, type, title, body, JSON.stringify(data), dedupeKey]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Add the same notification to several users' inboxes
+ * @param {number[]} userIds
+ * @param {Object} notification - As for createNotification(); dedupeKey is suffixed with each user ID
+ * @returns {Promise<number>} How many were recorded
+ */
+async function createNotifications(client, userIds, { type, title, body, data = {}, dedupeKey = null }) {
+  if (userIds.length === 0) return 0;
+
+  const result = await client.query(
+    `INSERT INTO notifications (user_id, type, title, body, data, dedupe_key)
+     SELECT u.id, $2, $3, $4, $5,
+            CASE WHEN $6::text IS NULL THEN NULL ELSE $6 || ':' || u.id END
+     FROM unnest($1::int[]) AS u(id)
+     ON CONFLICT (dedupe_key) DO NOTHING`,
+    [userIds, type, title, body, JSON.stringify(data), dedupeKey]
+  );
+  return result.rowCount;
+}
+
+/**
+ * A user's notifications, newest first
+ * @param {{limit: number, before?: number, unreadOnly?: boolean}} options - before: notification ID cursor
+ */
+async function listNotifications(pool, userId, { limit, before = null, unreadOnly = false }) {
+  const result = await pool.query(
+    `SELECT ${NOTIFICATION_COLUMNS}
+     FROM notifications
+     WHERE user_id = $1
+       AND ($2::bigint IS NULL OR id < $2)
+       AND (NOT $3 OR read_at IS NULL)
+     ORDER BY id DESC
+     LIMIT $4`,
+    [userId, before, unreadOnly, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * How many of a user's notifications are unread
+ */
+async function countUnreadNotifications(pool, userId) {
+  const result = await pool.query(
+    'SELECT COUNT(*)::int AS count FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+    [userId]
+  );
+  return result.rows[0].count;
+}
+
+/**
+ * Mark some of a user's notifications read
+ * IDs that aren't the user's, or are already read, are ignored.
+ * @returns {Promise<number>} How many were marked
+ */
+async function markNotificationsRead(pool, userId, ids) {
+  const result = await pool.query(
+    `UPDATE notifications SET read_at = NOW()
+     WHERE user_id = $1 AND id = ANY($2::bigint[]) AND read_at IS NULL`,
+    [userId, ids]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Mark all of a user's notifications read
+ * @returns {Promise<number>} How many were marked
+ */
+async function markAllNotificationsRead(pool, userId) {
+  const result = await pool.query(
+    'UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL',
+    [userId]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  createNotification,
+  createNotifications,
+  listNotifications,
+  countUnreadNotifications,
+  markNotificationsRead,
+  markAllNotificationsRead
+};
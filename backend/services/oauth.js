@@ -0,0 +1,197 @@
+/**
+ * Generic OAuth 2.0 (PKCE) flow driven by the provider registry
+ */
+
+const axios = require('axios');
+const { getRedirectUri } = require('./oauthProviders');
+const { findUserIdByIdentity, saveIdentity, touchIdentity } = require('./identities');
+const { isApprovedOnSignup } = require('./approvals');
+const { withTransaction } = require('../utils/database');
+
+const OAUTH_HTTP_TIMEOUT = 10000; // 10 seconds
+const MAX_USERNAME_ATTEMPTS = 100;
+
+// Columns returned for OAuth users (used in login responses)
+const OAUTH_USER_COLUMNS = 'id, email, username, twitter_handle, twitter_id, github_handle, github_id, is_approved, is_admin, email_verified, totp_enabled';
+
+/**
+ * Build the provider's authorization URL
+ */
+function buildAuthorizeUrl(provider, state, codeChallenge) {
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: getRedirectUri(provider),
+    scope: provider.scopes.join(' '),
+    state: state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+  return `${provider.authorizeUrl}?${params.toString()}`;
+}
+
+/**
+ * Exchange an authorization code for an access token
+ * @returns {Promise<{accessToken: string}|{error: string}>}
+ */
+async function exchangeCodeForToken(provider, code, codeVerifier) {
+  const body = {
+    code: code,
+    grant_type: 'authorization_code',
+    client_id: provider.clientId,
+    redirect_uri: getRedirectUri(provider),
+    code_verifier: codeVerifier
+  };
+  const headers = { 'Accept': 'application/json' };
+
+  if (provider.tokenAuth === 'basic') {
+    const credentials = Buffer.from(`${provider.clientId}:${provider.clientSecret}`).toString('base64');
+    headers['Authorization'] = `Basic ${credentials}`;
+  } else {
+    body.client_secret = provider.clientSecret;
+  }
+
+  let payload;
+  if (provider.tokenEncoding === 'form') {
+    headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    payload = new URLSearchParams(body).toString();
+  } else {
+    headers['Content-Type'] = 'application/json';
+    payload = body;
+  }
+
+  const response = await axios.post(provider.tokenUrl, payload, { headers, timeout: OAUTH_HTTP_TIMEOUT });
+  const { access_token, error, error_description } = response.data;
+
+  // Some providers (e.g. GitHub) report errors with a 200 response
+  if (error || !access_token) {
+    console.error(`${provider.displayName} token error:`, error, error_description);
+    return { error: error_description || `Failed to get access token from ${provider.displayName}` };
+  }
+
+  return { accessToken: access_token };
+}
+
+/**
+ * Fetch and normalize the provider profile for an access token
+ * @returns {Promise<{providerUserId: string, username: string, handle: string, email: string|null}>}
+ */
+async function fetchProfile(provider, accessToken) {
+  const response = await axios.get(provider.profileUrl, {
+    headers: {
+      ...provider.profileHeaders,
+      'Authorization': `Bearer ${accessToken}`
+    },
+    params: provider.profileParams,
+    timeout: OAUTH_HTTP_TIMEOUT
+  });
+  return provider.mapProfile(response.data);
+}
+
+/**
+ * Load a user by ID with the columns used in login responses
+ */
+async function getOAuthUser(client, userId) {
+  const result = await client.query(`SELECT ${OAUTH_USER_COLUMNS} FROM users WHERE id = $1`, [userId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Find the user for a provider identity, creating one if needed
+ * Username collisions get a numeric suffix; concurrent sign-ups for the
+ * same identity resolve to the same user.
+ * @returns {Promise<{user: Object, isNewUser: boolean}>}
+ */
+async function findOrCreateUser(pool, provider, profile) {
+  const existingId = await findUserIdByIdentity(pool, provider, profile.providerUserId);
+  if (existingId) {
+    await touchIdentity(pool, provider, profile.providerUserId);
+    const existing = await getOAuthUser(pool, existingId);
+    console.log(`Existing ${provider.displayName} user logged in: ${existing.username}`);
+    return { user: existing, isNewUser: false };
+  }
+
+  // Create user and identity together so a failure can't leave an orphaned account
+  try {
+    const user = await withTransaction(pool, async (client) => {
+      let userId = null;
+      let finalUsername = profile.username;
+      let email = profile.email;
+      let suffix = 1;
+      const isApproved = await isApprovedOnSignup(client, { isAdmin: false, isEmailAccount: false });
+
+      while (!userId) {
+        if (suffix > MAX_USERNAME_ATTEMPTS) {
+          throw new Error('Failed to generate unique username');
+        }
+        await client.query('SAVEPOINT create_user');
+        try {
+          const insertResult = await client.query(
+            `INSERT INTO users (username, email, auth_provider, is_approved, is_admin)
+             VALUES ($1, $2, $3, $4, FALSE)
+             RETURNING id`,
+            [finalUsername, email, provider.id, isApproved]
+          );
+          userId = insertResult.rows[0].id;
+        } catch (insertError) {
+          await client.query('ROLLBACK TO SAVEPOINT create_user');
+          if (insertError.code === '23505' && insertError.constraint?.includes('username')) {
+            // Username taken: try the next suffix
+            finalUsername = `${profile.username}${suffix}`;
+            suffix++;
+          } else if (insertError.code === '23505' && insertError.constraint?.includes('email')) {
+            // Email already belongs to another account: create this one without it
+            email = null;
+          } else {
+            throw insertError;
+          }
+        }
+      }
+
+      await saveIdentity(client, userId, provider, profile);
+      await touchIdentity(client, provider, profile.providerUserId);
+      return getOAuthUser(client, userId);
+    });
+    console.log(`Created new ${provider.displayName} user: ${user.username} (${provider.displayName} ID: ${profile.providerUserId})`);
+    return { user, isNewUser: true };
+  } catch (error) {
+    // Identity created by a concurrent request: use that user
+    if (error.code === '23505') {
+      const userId = await findUserIdByIdentity(pool, provider, profile.providerUserId);
+      if (userId) {
+        return { user: await getOAuthUser(pool, userId), isNewUser: false };
+      }
+    }
+    throw error;
+  }
+}
+
+/**
+ * Link a provider identity to an existing user
+ * @returns {Promise<{error?: string}>}
+ */
+async function linkIdentity(pool, provider, profile, userId) {
+  const ownerId = await findUserIdByIdentity(pool, provider, profile.providerUserId);
+  if (ownerId && ownerId !== userId) {
+    return { error: `This ${provider.displayName} account is already linked to another user` };
+  }
+
+  try {
+    await withTransaction(pool, client => saveIdentity(client, userId, provider, profile));
+  } catch (error) {
+    // Linked by another user between the check and the write
+    if (error.code === '23505') {
+      return { error: `This ${provider.displayName} account is already linked to another user` };
+    }
+    throw error;
+  }
+  return {};
+}
+
+module.exports = {
+  buildAuthorizeUrl,
+  exchangeCodeForToken,
+  fetchProfile,
+  findOrCreateUser,
+  linkIdentity
+};
@@ -0,0 +1,120 @@
+/**
+ * OAuth provider registry
+ *
+ * Each provider declares everything the generic flow in services/oauth.js
+ * needs. To add a provider, add an entry here with its endpoints, scopes,
+ * token request style and a mapProfile() that returns:
+ *   { providerUserId, username, handle, email }
+ *
+ * redirectStyle:
+ *   'app' - the provider redirects straight to the app's custom scheme
+ *   'web' - the provider only accepts HTTP(S) redirects, so it redirects to
+ *           /api/auth/:provider/web-callback which bounces to the app
+ *
+ * tokenAuth:      'basic' (client credentials in Authorization header) or 'body'
+ * tokenEncoding:  'form' (application/x-www-form-urlencoded) or 'json'
+ * legacyColumns:  optional users columns that predate user_identities and
+ *                 are still kept in sync (see services/identities.js)
+ */
+
+const APP_CALLBACK_URL = 'karass://callback';
+
+// Providers that need HTTP/HTTPS callbacks redirect here first
+// Use OAUTH_REDIRECT_BASE_URL (or legacy GITHUB_REDIRECT_URL) in production
+const WEB_REDIRECT_BASE = process.env.OAUTH_REDIRECT_BASE_URL
+  || process.env.GITHUB_REDIRECT_URL
+  || `http://localhost:${process.env.PORT || 3000}`;
+
+/**
+ * Keep only characters allowed in usernames, capped at 30 chars
+ */
+function sanitizeProviderUsername(value, pattern) {
+  return (value || '').replace(pattern, '').substring(0, 30);
+}
+
+const PROVIDERS = {
+  twitter: {
+    displayName: 'Twitter',
+    clientId: process.env.TWITTER_CLIENT_ID,
+    clientSecret: process.env.TWITTER_CLIENT_SECRET,
+    authorizeUrl: 'https://twitter.com/i/oauth2/authorize',
+    tokenUrl: 'https://api.twitter.com/2/oauth2/token',
+    profileUrl: 'https://api.twitter.com/2/users/me',
+    profileParams: { 'user.fields': 'id,name,username,profile_image_url' },
+    scopes: ['tweet.read', 'users.read', 'offline.access'],
+    redirectStyle: 'app',
+    tokenAuth: 'basic',
+    tokenEncoding: 'form',
+    legacyColumns: { id: 'twitter_id', handle: 'twitter_handle' },
+    mapProfile(data) {
+      const profile = data.data || {};
+      const username = sanitizeProviderUsername(profile.username, /[^a-zA-Z0-9_]/g);
+      return {
+        providerUserId: profile.id ? String(profile.id) : null,
+        username,
+        handle: `@${username}`,
+        email: null
+      };
+    }
+  },
+
+  github: {
+    displayName: 'GitHub',
+    clientId: process.env.GITHUB_CLIENT_ID,
+    clientSecret: process.env.GITHUB_CLIENT_SECRET,
+    authorizeUrl: 'https://github.com/login/oauth/authorize',
+    tokenUrl: 'https://github.com/login/oauth/access_token',
+    profileUrl: 'https://api.github.com/user',
+    profileHeaders: {
+      'Accept': 'application/vnd.github.v3+json',
+      'User-Agent': 'Karass-App'  // GitHub API requires User-Agent
+    },
+    scopes: ['read:user', 'user:email'],
+    redirectStyle: 'web',
+    tokenAuth: 'body',
+    tokenEncoding: 'json',
+    legacyColumns: { id: 'github_id', handle: 'github_handle' },
+    mapProfile(data) {
+      // Only allow alphanumeric and hyphens (GitHub's own rules)
+      const username = sanitizeProviderUsername(data.login, /[^a-zA-Z0-9-]/g);
+      return {
+        providerUserId: data.id ? String(data.id) : null,
+        username,
+        handle: `@${username}`,
+        email: data.email || null
+      };
+    }
+  }
+};
+
+/**
+ * Look up a provider by its route name
+ * @returns {Object|null}
+ */
+function getProvider(name) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, name) ? { id: name, ...PROVIDERS[name] } : null;
+}
+
+/**
+ * Whether a provider has the credentials it needs
+ */
+function isProviderConfigured(provider) {
+  return Boolean(provider.clientId && provider.clientSecret);
+}
+
+/**
+ * The redirect_uri sent to the provider
+ */
+function getRedirectUri(provider) {
+  return provider.redirectStyle === 'web'
+    ? `${WEB_REDIRECT_BASE}/api/auth/${provider.id}/web-callback`
+    : APP_CALLBACK_URL;
+}
+
+module.exports = {
+  APP_CALLBACK_URL,
+  PROVIDERS,
+  getProvider,
+  isProviderConfigured,
+  getRedirectUri
+};
@@ -0,0 +1,69 @@
+/**
+ * OAuth state / PKCE verifier store
+ *
+ * Stored in Postgres so a flow started on one instance can finish on another
+ * and in-flight logins survive deploys. Each state can be consumed once.
+ */
+
+const crypto = require('crypto');
+
+const OAUTH_STATE_TTL_MINUTES = 10;
+
+/**
+ * Start a flow: generate state and PKCE verifier/challenge and store them
+ * @returns {Promise<{state: string, codeChallenge: string}>}
+ */
+async function createOAuthState(pool, providerId) {
+  // Generate PKCE code verifier (43-128 chars, URL-safe)
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+
+  // Generate code challenge (SHA256 hash of verifier, base64url encoded)
+  const codeChallenge = crypto
+    .createHash('sha256')
+    .update(codeVerifier)
+    .digest('base64url');
+
+  // Generate state parameter for CSRF protection
+  const state = crypto.randomBytes(16).toString('hex');
+
+  await pool.query(
+    `INSERT INTO oauth_states (state, provider, code_verifier, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))`,
+    [state, providerId, codeVerifier, OAUTH_STATE_TTL_MINUTES]
+  );
+
+  return { state, codeChallenge };
+}
+
+/**
+ * Atomically consume a state, returning its stored code verifier
+ * @returns {Promise<string|null>} The code verifier, or null if unknown, expired or used
+ */
+async function consumeOAuthState(pool, state, providerId) {
+  if (!state || typeof state !== 'string' || state.length > 64) {
+    return null;
+  }
+
+  const result = await pool.query(
+    `DELETE FROM oauth_states
+     WHERE state = $1 AND provider = $2 AND expires_at > NOW()
+     RETURNING code_verifier`,
+    [state, providerId]
+  );
+  return result.rows.length > 0 ? result.rows[0].code_verifier : null;
+}
+
+/**
+ * Delete expired states
+ * @returns {Promise<number>} Number of rows removed
+ */
+async function purgeExpiredOAuthStates(pool) {
+  const result = await pool.query('DELETE FROM oauth_states WHERE expires_at <= NOW()');
+  return result.rowCount;
+}
+
+module.exports = {
+  createOAuthState,
+  consumeOAuthState,
+  purgeExpiredOAuthStates
+};
@@ -0,0 +1,57 @@
+/**
+ * Password reset token service
+ *
+ * Tokens are single-use, expire after PASSWORD_RESET_TTL_MINUTES and only
+ * their SHA-256 hash is stored.
+ */
+
+const { generateOpaqueToken, hashToken } = require('../utils/tokens');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+
+/**
+ * Create a reset token for a user, invalidating any earlier unused ones
+ * @returns {Promise<string>} The plaintext token to email to the user
+ */
+async function createPasswordResetToken(pool, userId, ipAddress = null) {
+  const token = generateOpaqueToken();
+
+  await pool.query(
+    'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+
+  await pool.query(
+    `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+     VALUES ($1, $2, NOW() + make_interval(mins => $3), $4)`,
+    [userId, hashToken(token), PASSWORD_RESET_TTL_MINUTES, ipAddress]
+  );
+
+  return token;
+}
+
+/**
+ * Atomically mark a reset token as used
+ * @param {Object} client - Pool or transaction client
+ * @returns {Promise<number|null>} The user ID the token belonged to, or null if invalid
+ */
+async function consumePasswordResetToken(client, token) {
+  if (!token || typeof token !== 'string' || token.length > 200) {
+    return null;
+  }
+
+  const result = await client.query(
+    `UPDATE password_reset_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(token)]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+}
+
+module.exports = {
+  PASSWORD_RESET_TTL_MINUTES,
+  createPasswordResetToken,
+  consumePasswordResetToken
+};
@@ -0,0 +1,195 @@
+/**
+ * Push notification service
+ *
+ * Transport is selected with PUSH_TRANSPORT:
+ *   fcm     - Firebase Cloud Messaging HTTP v1 (default; see services/fcm.js)
+ *   apns    - Apple Push Notification service over HTTP/2 (see services/apns.js)
+ *   file    - append each push as a JSON line to PUSH_FILE_PATH (offline testing)
+ *   console - log each push to stdout
+ *
+ * Send through services/pushOutbox.js, which retries and logs deliveries.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createFcmTransport } = require('./fcm');
+const { createApnsTransport } = require('./apns');
+
+const PUSH_FILE_PATH = process.env.PUSH_FILE_PATH || path.join(__dirname, '..', 'push.log');
+
+/**
+ * Describe a target for local sinks
+ */
+function describeTarget(target) {
+  return target.topic ? `topic:${target.topic}` : `token:${target.token}`;
+}
+
+/**
+ * File transport - writes one JSON object per line
+ */
+function createFileTransport(filePath = PUSH_FILE_PATH) {
+  return {
+    name: 'file',
+    supportsTopics: true,
+    async send(target, notification) {
+      const messageId = `local-${crypto.randomUUID()}`;
+      const entry = { messageId, ...target, ...notification, sentAt: new Date().toISOString() };
+      try {
+        await fs.promises.appendFile(filePath, JSON.stringify(entry) + '\n');
+      } catch (error) {
+        return { sent: false, retryable: true, error: error.message };
+      }
+      return { sent: true, messageId };
+    },
+    async check() {
+      return this.getStatus();
+    },
+    getStatus() {
+      return { status: 'ok', filePath };
+    }
+  };
+}
+
+/**
+ * Console transport - prints pushes instead of sending them
+ */
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    supportsTopics: true,
+    async send(target, { title, body, data }) {
+      console.log(`[push] To: ${describeTarget(target)} | ${title}: ${body} | ${JSON.stringify(data)}`);
+      return { sent: true, messageId: `local-${crypto.randomUUID()}` };
+    },
+    async check() {
+      return this.getStatus();
+    },
+    getStatus() {
+      return { status: 'ok' };
+    }
+  };
+}
+
+/**
+ * Create the transport named by PUSH_TRANSPORT
+ */
+function createTransport(name = process.env.PUSH_TRANSPORT || 'fcm') {
+  switch (name) {
+    case 'fcm':
+      return createFcmTransport();
+    case 'apns':
+      return createApnsTransport();
+    case 'file':
+      return createFileTransport();
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown PUSH_TRANSPORT "${name}"`);
+  }
+}
+
+let transport = null;
+
+/**
+ * Get the active transport, creating it on first use
+ */
+function getTransport() {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+}
+
+/**
+ * Replace the active transport (used by tests and local tooling)
+ */
+function setTransport(newTransport) {
+  transport = newTransport;
+}
+
+/**
+ * Whether pushes can go to a topic, or must go to each device
+ */
+function supportsTopics() {
+  try {
+    return getTransport().supportsTopics;
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * Type of device token the transport sends to ('fcm' or 'apns'), or null for any
+ * Tokens of other types get no pushes.
+ */
+function getTransportTokenType() {
+  try {
+    return getTransport().tokenType || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Send one push notification to a device or topic
+ * @param {{topic: string}|{token: string}} target
+ * @param {Object} data - Must include a `type` the app can route on
+ * @returns {Promise<Object>} Delivery result:
+ *   sent, messageId, statusCode, errorCode, error, retryable, retryAfterMs,
+ *   invalidToken (the device token will never work again)
+ */
+async function sendPush(target, title, body, data) {
+  let active;
+  try {
+    active = getTransport();
+  } catch (error) {
+    return { sent: false, retryable: false, error: error.message };
+  }
+  return active.send(target, { title, body, data });
+}
+
+/**
+ * Check the transport's configuration at startup
+ * Problems are logged and reported by getPushStatus(); they never stop the server.
+ */
+async function checkPushConfig() {
+  try {
+    return await getTransport().check();
+  } catch (error) {
+    console.error('Push configuration error:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Push configuration state for admins (no secrets)
+ * The status alone ('ok', 'disabled' or 'error') is safe to show publicly.
+ */
+function getPushStatus() {
+  try {
+    const active = getTransport();
+    return { transport: active.name, ...active.getStatus() };
+  } catch (error) {
+    return { transport: process.env.PUSH_TRANSPORT, status: 'error', error: error.message };
+  }
+}
+
+/**
+ * Close any connection the transport holds open
+ */
+function closePush() {
+  if (transport?.close) {
+    transport.close();
+  }
+}
+
+module.exports = {
+  setTransport,
+  supportsTopics,
+  getTransportTokenType,
+  sendPush,
+  checkPushConfig,
+  getPushStatus,
+  closePush
+};
@@ -0,0 +1,281 @@
+/**
+ * Push notification outbox
+ *
+ * Every push is queued in push_notifications first and delivered by a
+ * worker through the push transport (services/push.js), so pushes survive
+ * outages and restarts. Rate limiting (429) and server errors (5xx) are
+ * retried with exponential backoff, waiting at least as long as Retry-After
+ * asks. Each push ends up sent, with the transport's message ID (stored as
+ * fcm_message_id), or failed, with the last error; admins can retry failed
+ * ones. Device tokens rejected as dead are deleted (services/deviceTokens.js).
+ * Pushes only go to device tokens of the transport's type, so a token is
+ * never pruned for belonging to another push service.
+ */
+
+const { sendPush, getTransportTokenType } = require('./push');
+const { createPoller } = require('../utils/poller');
+
+const PUSH_POLL_INTERVAL_MS = parseInt(process.env.PUSH_POLL_INTERVAL_MS, 10) || 2000;
+const PUSH_BATCH_SIZE = 20;
+const PUSH_MAX_ATTEMPTS = 8;
+const PUSH_RETRY_BASE_SECONDS = 5;
+const PUSH_RETRY_MAX_SECONDS = 60 * 60;
+const PUSH_STALE_AFTER_MS = 5 * 60 * 1000;
+
+const PUSH_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+const PUSH_COLUMNS = `id, target_type, target, user_id, title, body, data, source, status, attempts,
+  next_attempt_at, last_status_code, last_error, fcm_message_id, created_at, sent_at, failed_at`;
+
+/**
+ * Queue a push to a topic or a single device
+ * @param {Object} client - Pool or transaction client
+ * @param {Object} push
+ * @param {string} [push.topic]
+ * @param {string} [push.token] - Device token (one of topic or token is required)
+ * @param {number} [push.userId] - The token's owner
+ * @param {Object} push.data - Must include a `type` the app can route on
+ * @param {string} [push.source] - What queued it, e.g. 'announcement'
+ * @param {string} [push.dedupeKey] - A push with the same key is only queued once
+ * @returns {Promise<Object|null>} The queued row, or null if it was a duplicate
+ */
+async function queuePush(client, { topic, token, userId = null, title, body, data, source = null, dedupeKey = null }) {
+  const result = await client.query(
+    `INSERT INTO push_notifications (target_type, target, user_id, title, body, data, source, dedupe_key)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (dedupe_key) DO NOTHING
+     RETURNING ${PUSH_COLUMNS}`,
+    [topic ? 'topic' : 'token', topic || token, userId, title, body, JSON.stringify(data), source, dedupeKey]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Queue the same push to several devices
+ * @param {Array<{token: string, userId: number}>} devices
+ * @param {Object} push - As for queuePush(); dedupeKey is suffixed with each token
+ * @returns {Promise<number>} How many were queued
+ */
+async function queuePushToDevices(client, devices, { title, body, data, source = null, dedupeKey = null }) {
+  if (devices.length === 0) return 0;
+
+  const result = await client.query(
+    `INSERT INTO push_notifications (target_type, target, user_id, title, body, data, source, dedupe_key)
+     SELECT 'token', d.token, d.user_id, $3, $4, $5, $6,
+            CASE WHEN $7::text IS NULL THEN NULL ELSE $7 || ':' || d.token END
+     FROM unnest($1::text[], $2::int[]) AS d(token, user_id)
+     ON CONFLICT (dedupe_key) DO NOTHING`,
+    [
+      devices.map(device => device.token),
+      devices.map(device => device.userId),
+      title, body, JSON.stringify(data), source, dedupeKey
+    ]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Queue a push to every device a user has registered that the transport can reach
+ * @returns {Promise<number>} How many were queued
+ */
+async function queuePushToUser(client, userId, push) {
+  const result = await client.query(
+    'SELECT token FROM device_tokens WHERE user_id = $1 AND ($2::text IS NULL OR token_type = $2)',
+    [userId, getTransportTokenType()]
+  );
+  return queuePushToDevices(client, result.rows.map(row => ({ token: row.token, userId })), push);
+}
+
+/**
+ * Claim due pushes for this instance
+ */
+async function claimDuePushes(pool, limit) {
+  const result = await pool.query(
+    `UPDATE push_notifications
+     SET status = 'sending', locked_at = NOW(), attempts = attempts + 1
+     WHERE id IN (
+       SELECT id FROM push_notifications
+       WHERE status = 'pending' AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING ${PUSH_COLUMNS}`,
+    [limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Requeue pushes whose instance stopped while sending them
+ * The transport may already have accepted them, so a device can occasionally get one twice.
+ * A push that is out of attempts is failed instead, so one that keeps
+ * stopping its instance isn't retried forever.
+ */
+async function requeueStalePushes(pool) {
+  const result = await pool.query(
+    `UPDATE push_notifications
+     SET status = CASE WHEN attempts >= $2 THEN 'failed' ELSE 'pending' END,
+         locked_at = NULL,
+         last_error = 'Worker stopped while sending the push',
+         next_attempt_at = CASE WHEN attempts >= $2 THEN next_attempt_at ELSE NOW() END,
+         failed_at = CASE WHEN attempts >= $2 THEN NOW() ELSE NULL END
+     WHERE status = 'sending' AND locked_at < NOW() - make_interval(secs => $1)`,
+    [PUSH_STALE_AFTER_MS / 1000, PUSH_MAX_ATTEMPTS]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Seconds to wait before the next attempt: 5s, 10s, 20s, ... up to an hour,
+ * or longer if the push service asked for it
+ */
+function getRetryDelaySeconds(attempts, retryAfterMs) {
+  const backoff = Math.min(PUSH_RETRY_BASE_SECONDS * 2 ** (attempts - 1), PUSH_RETRY_MAX_SECONDS);
+  return Math.max(backoff, Math.ceil((retryAfterMs || 0) / 1000));
+}
+
+/**
+ * Send one claimed push and record the outcome
+ * The outcome is only recorded while the push is still this attempt's; if
+ * it was requeued as stale in the meantime, the next attempt decides.
+ */
+async function deliverPush(pool, push) {
+  const target = push.target_type === 'topic' ? { topic: push.target } : { token: push.target };
+  const result = await sendPush(target, push.title, push.body, push.data);
+
+  let recorded;
+  if (result.sent) {
+    recorded = await pool.query(
+      `UPDATE push_notifications
+       SET status = 'sent', sent_at = NOW(), locked_at = NULL, fcm_message_id = $2,
+           last_status_code = $3, last_error = NULL
+       WHERE id = $1 AND status = 'sending' AND attempts = $4`,
+      [push.id, result.messageId, result.statusCode, push.attempts]
+    );
+  } else {
+    const retry = result.retryable && push.attempts < PUSH_MAX_ATTEMPTS;
+    recorded = await pool.query(
+      `UPDATE push_notifications
+       SET status = $2, locked_at = NULL, last_status_code = $3, last_error = $4,
+           next_attempt_at = CASE WHEN $2 = 'pending' THEN NOW() + make_interval(secs => $5) ELSE next_attempt_at END,
+           failed_at = CASE WHEN $2 = 'failed' THEN NOW() ELSE NULL END
+       WHERE id = $1 AND status = 'sending' AND attempts = $6`,
+      [
+        push.id,
+        retry ? 'pending' : 'failed',
+        result.statusCode || null,
+        (result.error || 'Unknown error').substring(0, 1000),
+        getRetryDelaySeconds(push.attempts, result.retryAfterMs),
+        push.attempts
+      ]
+    );
+  }
+  if (recorded.rowCount === 0) {
+    console.error(`Push ${push.id} was requeued as stale while sending; outcome discarded`);
+  }
+
+  if (result.invalidToken) {
+    // A token from another push service (e.g. queued before the transport changed) isn't dead
+    const pruned = await pool.query(
+      'DELETE FROM device_tokens WHERE token = $1 AND ($2::text IS NULL OR token_type = $2)',
+      [push.target, getTransportTokenType()]
+    );
+    if (pruned.rowCount > 0) {
+      console.log(`Pruned invalid device token for user ${push.user_id}`);
+    }
+  }
+}
+
+/**
+ * Create the worker that delivers queued pushes
+ * @returns {{start: Function, stop: Function, wake: Function}}
+ *   wake() sends immediately, e.g. after queueing pushes
+ */
+function createPushWorker(pool, { pollIntervalMs = PUSH_POLL_INTERVAL_MS } = {}) {
+  let lastStaleCheck = 0;
+
+  return createPoller(async (isStopped) => {
+    if (Date.now() - lastStaleCheck > PUSH_STALE_AFTER_MS / 5) {
+      lastStaleCheck = Date.now();
+      await requeueStalePushes(pool);
+    }
+
+    let pushes;
+    do {
+      pushes = await claimDuePushes(pool, PUSH_BATCH_SIZE);
+      for (const push of pushes) {
+        try {
+          await deliverPush(pool, push);
+        } catch (error) {
+          // Left in 'sending'; requeued once stale
+          console.error(`Push ${push.id} delivery error:`, error.message);
+        }
+      }
+    } while (pushes.length === PUSH_BATCH_SIZE && !isStopped());
+  }, { intervalMs: pollIntervalMs, name: 'Push worker' });
+}
+
+/**
+ * List queued and delivered pushes, newest first
+ * @param {{status?: string, source?: string, userId?: number, limit: number, before?: number}} filters
+ *   before: push ID cursor
+ */
+async function listPushNotifications(pool, { status, source, userId, limit, before }) {
+  const conditions = [];
+  const params = [];
+  const add = (condition, value) => {
+    params.push(value);
+    conditions.push(condition.replace('?', `$${params.length}`));
+  };
+
+  if (status) add('status = ?', status);
+  if (source) add('source = ?', source);
+  if (userId) add('user_id = ?', userId);
+  if (before) add('id < ?', before);
+
+  params.push(limit);
+  const result = await pool.query(
+    `SELECT ${PUSH_COLUMNS}
+     FROM push_notifications
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Put a failed push back in the queue with a fresh set of attempts
+ * @param {Object} client - Pool or transaction client
+ * @returns {Promise<{push?: Object, error?: string, notFound?: boolean}>}
+ */
+async function retryPushNotification(client, id) {
+  const result = await client.query(
+    `UPDATE push_notifications
+     SET status = 'pending', attempts = 0, next_attempt_at = NOW(), failed_at = NULL
+     WHERE id = $1 AND status = 'failed'
+     RETURNING ${PUSH_COLUMNS}`,
+    [id]
+  );
+  if (result.rows.length > 0) {
+    return { push: result.rows[0] };
+  }
+
+  const existing = await client.query('SELECT status FROM push_notifications WHERE id = $1', [id]);
+  if (existing.rows.length === 0) {
+    return { notFound: true };
+  }
+  return { error: `Only failed notifications can be retried (this one is ${existing.rows[0].status})` };
+}
+
+module.exports = {
+  PUSH_STATUSES,
+  queuePush,
+  queuePushToDevices,
+  queuePushToUser,
+  createPushWorker,
+  listPushNotifications,
+  retryPushNotification
+};
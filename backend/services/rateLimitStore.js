@@ -0,0 +1,153 @@
+/**
+ * Rate limit counter stores
+ *
+ * Stores only do the atomic bookkeeping; the algorithms live in
+ * middleware/rateLimit.js. All times are epoch milliseconds from the app
+ * clock, so instances sharing a Postgres store should keep their clocks in sync.
+ *
+ * Sliding windows keep the count for the current and previous fixed window.
+ * Token buckets use GCRA, storing only the "theoretical arrival time" (tat)
+ * of the next request.
+ */
+
+const MEMORY_STORE_MAX_KEYS = 10000;
+
+/**
+ * In-memory store (per instance, lost on restart)
+ * When full, the least recently used key is evicted instead of rejecting new clients.
+ */
+function createMemoryStore({ maxKeys = MEMORY_STORE_MAX_KEYS } = {}) {
+  const windows = new Map();
+  const buckets = new Map();
+
+  // Re-insert so Map order tracks recency, then evict the oldest key if over capacity
+  function remember(map, key, value) {
+    map.delete(key);
+    map.set(key, value);
+    if (map.size > maxKeys) {
+      map.delete(map.keys().next().value);
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    async incrementWindow(key, windowStart, windowMs) {
+      const entry = windows.get(key);
+      let next;
+      if (entry && entry.windowStart >= windowStart) {
+        next = { ...entry, count: entry.count + 1 };
+      } else if (entry && entry.windowStart === windowStart - windowMs) {
+        next = { windowStart, count: 1, previousCount: entry.count };
+      } else {
+        next = { windowStart, count: 1, previousCount: 0 };
+      }
+      next.expiresAt = next.windowStart + 2 * windowMs;
+      remember(windows, key, next);
+      return { count: next.count, previousCount: next.previousCount };
+    },
+
+    async takeToken(key, now, intervalMs, windowMs) {
+      const entry = buckets.get(key);
+      const newTat = Math.max(entry ? entry.tat : now, now) + intervalMs;
+      if (newTat - now > windowMs) {
+        return { allowed: false, tat: entry.tat };
+      }
+      remember(buckets, key, { tat: newTat });
+      return { allowed: true, tat: newTat };
+    },
+
+    async returnToken(key, intervalMs) {
+      const entry = buckets.get(key);
+      if (entry) {
+        entry.tat -= intervalMs;
+      }
+    },
+
+    async purgeExpired(now) {
+      let removed = 0;
+      for (const [key, entry] of windows.entries()) {
+        if (entry.expiresAt <= now) {
+          windows.delete(key);
+          removed++;
+        }
+      }
+      for (const [key, entry] of buckets.entries()) {
+        if (entry.tat <= now) {
+          buckets.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+}
+
+/**
+ * Postgres store shared by all instances
+ * Each operation is a single atomic upsert.
+ */
+function createPostgresStore(pool) {
+  return {
+    name: 'postgres',
+
+    async incrementWindow(key, windowStart, windowMs) {
+      const result = await pool.query(
+        `INSERT INTO rate_limit_windows (key, window_start, count, previous_count, expires_at)
+         VALUES ($1, $2, 1, 0, $2::bigint + 2 * $3::bigint)
+         ON CONFLICT (key) DO UPDATE
+         SET previous_count = CASE
+               WHEN rate_limit_windows.window_start >= EXCLUDED.window_start THEN rate_limit_windows.previous_count
+               WHEN rate_limit_windows.window_start = EXCLUDED.window_start - $3::bigint THEN rate_limit_windows.count
+               ELSE 0
+             END,
+             count = CASE
+               WHEN rate_limit_windows.window_start >= EXCLUDED.window_start THEN rate_limit_windows.count + 1
+               ELSE 1
+             END,
+             window_start = GREATEST(rate_limit_windows.window_start, EXCLUDED.window_start),
+             expires_at = GREATEST(rate_limit_windows.expires_at, EXCLUDED.expires_at)
+         RETURNING count, previous_count`,
+        [key, windowStart, windowMs]
+      );
+      return {
+        count: result.rows[0].count,
+        previousCount: result.rows[0].previous_count
+      };
+    },
+
+    async takeToken(key, now, intervalMs, windowMs) {
+      // The conditional update returns no row when the bucket is empty
+      const result = await pool.query(
+        `INSERT INTO rate_limit_buckets (key, tat)
+         VALUES ($1, $2::bigint + $3::bigint)
+         ON CONFLICT (key) DO UPDATE
+         SET tat = GREATEST(rate_limit_buckets.tat, $2::bigint) + $3::bigint
+         WHERE GREATEST(rate_limit_buckets.tat, $2::bigint) + $3::bigint - $2::bigint <= $4::bigint
+         RETURNING tat`,
+        [key, now, intervalMs, windowMs]
+      );
+      if (result.rows.length > 0) {
+        return { allowed: true, tat: Number(result.rows[0].tat) };
+      }
+
+      const current = await pool.query('SELECT tat FROM rate_limit_buckets WHERE key = $1', [key]);
+      return { allowed: false, tat: current.rows.length > 0 ? Number(current.rows[0].tat) : now };
+    },
+
+    async returnToken(key, intervalMs) {
+      await pool.query('UPDATE rate_limit_buckets SET tat = tat - $2::bigint WHERE key = $1', [key, intervalMs]);
+    },
+
+    async purgeExpired(now) {
+      const windows = await pool.query('DELETE FROM rate_limit_windows WHERE expires_at <= $1', [now]);
+      const buckets = await pool.query('DELETE FROM rate_limit_buckets WHERE tat <= $1', [now]);
+      return windows.rowCount + buckets.rowCount;
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  createPostgresStore
+};
@@ -0,0 +1,156 @@
+/**
+ * Roles and the permissions they carry
+ *
+ * Privileged routes require a permission (see requirePermission in
+ * middleware/auth.js) rather than admin status. A user's permissions are the
+ * union of their roles' permissions. Only owners can grant or revoke the
+ * owner and admin roles, and there is always at least one owner.
+ *
+ * users.is_admin is kept in step with the owner and admin roles so existing
+ * clients can keep using it to show admin features.
+ */
+
+const { withTransaction } = require('../utils/database');
+
+const ROLE_PERMISSIONS = {
+  owner: [
+    'users:view', 'users:approve', 'users:suspend', 'users:delete',
+    'roles:manage', 'roles:manage-admins', 'settings:manage', 'audit:view',
+    'announcements:create', 'announcements:manage', 'beacon:manage', 'notifications:manage'
+  ],
+  admin: [
+    'users:view', 'users:approve', 'users:suspend', 'users:delete',
+    'roles:manage', 'settings:manage', 'audit:view',
+    'announcements:create', 'announcements:manage', 'beacon:manage', 'notifications:manage'
+  ],
+  moderator: ['users:view', 'users:approve', 'users:suspend'],
+  announcer: ['announcements:create', 'announcements:manage'],
+  'beacon-keeper': ['beacon:manage']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+const ADMIN_ROLES = ['owner', 'admin'];
+
+// Serializes role changes so concurrent revocations can't remove every owner
+const ROLE_CHANGE_LOCK_ID = 4107208;
+
+/**
+ * A user's roles
+ * @param {Object} client - Pool or transaction client
+ * @returns {Promise<string[]>}
+ */
+async function getUserRoles(client, userId) {
+  const result = await client.query('SELECT role FROM user_roles WHERE user_id = $1 ORDER BY role', [userId]);
+  return result.rows.map(row => row.role);
+}
+
+/**
+ * The permissions granted by a set of roles
+ * @returns {string[]}
+ */
+function getPermissions(roles) {
+  return [...new Set(roles.flatMap(role => ROLE_PERMISSIONS[role] || []))].sort();
+}
+
+/**
+ * The permission needed to grant or revoke a role
+ */
+function getPermissionToManage(role) {
+  return ADMIN_ROLES.includes(role) ? 'roles:manage-admins' : 'roles:manage';
+}
+
+/**
+ * Recompute users.is_admin from the user's roles
+ */
+async function syncAdminFlag(client, userId) {
+  await client.query(
+    `UPDATE users
+     SET is_admin = EXISTS (SELECT 1 FROM user_roles WHERE user_id = $1 AND role = ANY($2::text[]))
+     WHERE id = $1`,
+    [userId, ADMIN_ROLES]
+  );
+}
+
+/**
+ * Grant a role (no-op if the user already has it)
+ * @param {Object} client - Pool or transaction client
+ * @returns {Promise<{roles?: string[], previousRoles?: string[], notFound?: boolean}>}
+ */
+async function grantRole(client, { userId, role, grantedBy }) {
+  const user = await client.query('SELECT id FROM users WHERE id = $1 AND deleted_at IS NULL', [userId]);
+  if (user.rows.length === 0) {
+    return { notFound: true };
+  }
+
+  const previousRoles = await getUserRoles(client, userId);
+  await client.query(
+    `INSERT INTO user_roles (user_id, role, granted_by) VALUES ($1, $2, $3)
+     ON CONFLICT (user_id, role) DO NOTHING`,
+    [userId, role, grantedBy || null]
+  );
+  await syncAdminFlag(client, userId);
+
+  // A newly privileged user gets a grace period to enroll in 2FA
+  if (previousRoles.length === 0) {
+    await client.query('UPDATE users SET two_factor_grace_started_at = NOW() WHERE id = $1', [userId]);
+  }
+
+  return { roles: await getUserRoles(client, userId), previousRoles };
+}
+
+/**
+ * Revoke one or more roles, refusing to remove the last owner or the last admin
+ * @param {Object} db - Pool, or a transaction client to make this part of a larger change
+ * @returns {Promise<{roles?: string[], previousRoles?: string[], error?: string, notFound?: boolean}>}
+ */
+async function revokeRoles(db, { userId, roles }) {
+  return withTransaction(db, async (client) => {
+    await client.query('SELECT pg_advisory_xact_lock($1)', [ROLE_CHANGE_LOCK_ID]);
+
+    const user = await client.query('SELECT id FROM users WHERE id = $1 AND deleted_at IS NULL', [userId]);
+    if (user.rows.length === 0) {
+      return { notFound: true };
+    }
+
+    const current = await getUserRoles(client, userId);
+    const removing = roles.filter(role => current.includes(role));
+    const remaining = current.filter(role => !removing.includes(role));
+
+    if (removing.includes('owner')) {
+      const owners = await client.query(
+        `SELECT COUNT(*)::int AS count FROM user_roles r JOIN users u ON u.id = r.user_id
+         WHERE r.role = 'owner' AND u.deleted_at IS NULL`
+      );
+      if (owners.rows[0].count <= 1) {
+        return { error: 'Cannot revoke the last owner' };
+      }
+    }
+
+    if (removing.some(role => ADMIN_ROLES.includes(role)) && !remaining.some(role => ADMIN_ROLES.includes(role))) {
+      const admins = await client.query(
+        `SELECT COUNT(DISTINCT r.user_id)::int AS count FROM user_roles r JOIN users u ON u.id = r.user_id
+         WHERE r.role = ANY($1::text[]) AND u.deleted_at IS NULL`,
+        [ADMIN_ROLES]
+      );
+      if (admins.rows[0].count <= 1) {
+        return { error: 'Cannot revoke the last admin' };
+      }
+    }
+
+    await client.query('DELETE FROM user_roles WHERE user_id = $1 AND role = ANY($2::text[])', [userId, removing]);
+    await syncAdminFlag(client, userId);
+
+    return { roles: remaining, previousRoles: current };
+  });
+}
+
+module.exports = {
+  ROLES,
+  ADMIN_ROLES,
+  ROLE_PERMISSIONS,
+  getUserRoles,
+  getPermissions,
+  getPermissionToManage,
+  grantRole,
+  revokeRoles
+};
@@ -0,0 +1,239 @@
+/**
+ * Session and refresh token service
+ *
+ * Each session is one refresh token family. Refresh tokens have the form
+ * "<sessionId>.<secret>" and only the hash of the current secret is stored.
+ * Presenting an already-rotated secret is treated as token theft and revokes
+ * the whole session.
+ */
+
+const crypto = require('crypto');
+const { generateOpaqueToken, hashToken } = require('../utils/tokens');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000; // Avoid a write on every request
+
+/**
+ * Truncate optional client-supplied metadata to a safe length
+ */
+function cleanMetadataValue(value, maxLength) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  return trimmed.length > 0 ? trimmed.substring(0, maxLength) : null;
+}
+
+/**
+ * Extract device metadata for a session from a request
+ * Device name and platform come from the request body or X-Device-* headers
+ */
+function getSessionMetadata(req) {
+  const body = req.body || {};
+  return {
+    deviceName: cleanMetadataValue(body.deviceName || req.headers['x-device-name'], 100),
+    platform: cleanMetadataValue(body.platform || req.headers['x-device-platform'], 20),
+    ipAddress: cleanMetadataValue(req.ip || req.connection?.remoteAddress, 45),
+    userAgent: cleanMetadataValue(req.headers['user-agent'], 255)
+  };
+}
+
+/**
+ * Split a refresh token into its session ID and secret
+ */
+function parseRefreshToken(refreshToken) {
+  if (!refreshToken || typeof refreshToken !== 'string' || refreshToken.length > 200) {
+    return null;
+  }
+  const separator = refreshToken.indexOf('.');
+  if (separator <= 0) return null;
+  return {
+    sessionId: refreshToken.slice(0, separator),
+    secret: refreshToken.slice(separator + 1)
+  };
+}
+
+/**
+ * Create a new session for a user
+ * @param {Object} metadata - Device metadata from getSessionMetadata()
+ * @returns {Promise<{sessionId: string, refreshToken: string}>}
+ */
+async function createSession(pool, userId, metadata = {}) {
+  const sessionId = crypto.randomUUID();
+  const secret = generateOpaqueToken();
+
+  await pool.query(
+    `INSERT INTO sessions (id, user_id, refresh_token_hash, expires_at, device_name, platform, ip_address, user_agent)
+     VALUES ($1, $2, $3, NOW() + make_interval(days => $4), $5, $6, $7, $8)`,
+    [
+      sessionId,
+      userId,
+      hashToken(secret),
+      REFRESH_TOKEN_TTL_DAYS,
+      metadata.deviceName || null,
+      metadata.platform || null,
+      metadata.ipAddress || null,
+      metadata.userAgent || null
+    ]
+  );
+
+  return { sessionId, refreshToken: `${sessionId}.${secret}` };
+}
+
+/**
+ * Exchange a refresh token for a new one (rotation)
+ * @param {Object} metadata - Device metadata from getSessionMetadata()
+ * @returns {Promise<{sessionId: string, userId: number, refreshToken: string}|{error: string}>}
+ */
+async function rotateRefreshToken(pool, refreshToken, metadata = {}) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return { error: 'invalid' };
+  }
+
+  const newSecret = generateOpaqueToken();
+
+  // Atomic compare-and-swap: only succeeds for the current token of a live session
+  const result = await pool.query(
+    `UPDATE sessions
+     SET refresh_token_hash = $3,
+         last_used_at = NOW(),
+         expires_at = NOW() + make_interval(days => $4),
+         ip_address = COALESCE($5, ip_address),
+         user_agent = COALESCE($6, user_agent)
+     WHERE id = $1 AND refresh_token_hash = $2
+       AND revoked_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [
+      parsed.sessionId,
+      hashToken(parsed.secret),
+      hashToken(newSecret),
+      REFRESH_TOKEN_TTL_DAYS,
+      metadata.ipAddress || null,
+      metadata.userAgent || null
+    ]
+  );
+
+  if (result.rows.length > 0) {
+    return {
+      sessionId: parsed.sessionId,
+      userId: result.rows[0].user_id,
+      refreshToken: `${parsed.sessionId}.${newSecret}`
+    };
+  }
+
+  // The session exists but the secret is stale: a rotated token was replayed
+  const reuse = await pool.query(
+    `UPDATE sessions SET revoked_at = NOW(), revoked_reason = 'refresh_token_reuse'
+     WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [parsed.sessionId]
+  );
+
+  if (reuse.rows.length > 0) {
+    console.warn(`Refresh token reuse detected for user ${reuse.rows[0].user_id}, session ${parsed.sessionId} revoked`);
+    return { error: 'reused' };
+  }
+
+  return { error: 'invalid' };
+}
+
+/**
+ * Check whether a session is still active, refreshing its last-seen time
+ * @param {string|null} ipAddress - Client IP to record alongside last-seen
+ */
+async function isSessionActive(pool, sessionId, userId, ipAddress = null) {
+  const result = await pool.query(
+    `SELECT last_used_at FROM sessions
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()`,
+    [sessionId, userId]
+  );
+  if (result.rows.length === 0) return false;
+
+  const lastUsedAt = result.rows[0].last_used_at;
+  if (!lastUsedAt || Date.now() - new Date(lastUsedAt).getTime() > LAST_SEEN_RESOLUTION_MS) {
+    await pool.query(
+      'UPDATE sessions SET last_used_at = NOW(), ip_address = COALESCE($2, ip_address) WHERE id = $1',
+      [sessionId, ipAddress]
+    );
+  }
+  return true;
+}
+
+/**
+ * List a user's active sessions, most recently used first
+ */
+async function listUserSessions(pool, userId) {
+  const result = await pool.query(
+    `SELECT id, device_name, platform, ip_address, user_agent, created_at, last_used_at
+     FROM sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Revoke a session only if it belongs to the given user
+ */
+async function revokeUserSession(pool, userId, sessionId, reason = 'remote_logout') {
+  const result = await pool.query(
+    `UPDATE sessions SET revoked_at = NOW(), revoked_reason = $3
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+    [sessionId, userId, reason]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Revoke a single session
+ */
+async function revokeSession(pool, sessionId, reason = 'logout') {
+  const result = await pool.query(
+    `UPDATE sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE id = $1 AND revoked_at IS NULL`,
+    [sessionId, reason]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Revoke a session identified by its refresh token
+ * Only succeeds if the token is the current one for that session
+ */
+async function revokeSessionByRefreshToken(pool, refreshToken, reason = 'logout') {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+
+  const result = await pool.query(
+    `UPDATE sessions SET revoked_at = NOW(), revoked_reason = $3
+     WHERE id = $1 AND refresh_token_hash = $2 AND revoked_at IS NULL`,
+    [parsed.sessionId, hashToken(parsed.secret), reason]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Revoke every active session belonging to a user
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllUserSessions(pool, userId, reason = 'logout_all') {
+  const result = await pool.query(
+    `UPDATE sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId, reason]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  parseRefreshToken,
+  getSessionMetadata,
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  listUserSessions,
+  revokeUserSession,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllUserSessions
+};
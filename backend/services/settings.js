@@ -0,0 +1,104 @@
+/**
+ * Admin-configurable application settings
+ *
+ * Settings live in the app_settings table as JSON values. Only keys declared
+ * in SETTING_DEFINITIONS can be read or written. A definition with `values`
+ * only accepts one of those values.
+ */
+
+const SETTING_DEFINITIONS = {
+  approvalMode: {
+    key: 'approval_mode',
+    type: 'string',
+    values: ['automatic', 'manual'],
+    default: 'automatic'
+  },
+  requireVerifiedEmailForApproval: {
+    key: 'require_verified_email_for_approval',
+    type: 'boolean',
+    default: false
+  },
+  requireVerifiedEmailForPosting: {
+    key: 'require_verified_email_for_posting',
+    type: 'boolean',
+    default: false
+  }
+};
+
+/**
+ * Get a single setting value, falling back to its default
+ * @param {string} name - Setting name from SETTING_DEFINITIONS
+ */
+async function getSetting(pool, name) {
+  const definition = SETTING_DEFINITIONS[name];
+  if (!definition) {
+    throw new Error(`Unknown setting "${name}"`);
+  }
+
+  const result = await pool.query('SELECT value FROM app_settings WHERE key = $1', [definition.key]);
+  return result.rows.length > 0 ? result.rows[0].value : definition.default;
+}
+
+/**
+ * Get all settings as an object keyed by setting name
+ */
+async function getAllSettings(pool) {
+  const result = await pool.query('SELECT key, value FROM app_settings');
+  const stored = new Map(result.rows.map(row => [row.key, row.value]));
+
+  const settings = {};
+  for (const [name, definition] of Object.entries(SETTING_DEFINITIONS)) {
+    settings[name] = stored.has(definition.key) ? stored.get(definition.key) : definition.default;
+  }
+  return settings;
+}
+
+/**
+ * Validate a partial settings update
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSettingsUpdate(updates) {
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    return 'Settings must be an object';
+  }
+  const names = Object.keys(updates);
+  if (names.length === 0) {
+    return 'No settings provided';
+  }
+  for (const name of names) {
+    const definition = SETTING_DEFINITIONS[name];
+    if (!definition) {
+      return `Unknown setting "${name}"`;
+    }
+    if (typeof updates[name] !== definition.type) {
+      return `Setting "${name}" must be a ${definition.type}`;
+    }
+    if (definition.values && !definition.values.includes(updates[name])) {
+      return `Setting "${name}" must be one of: ${definition.values.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Apply a validated partial settings update
+ */
+async function updateSettings(pool, updates, updatedBy) {
+  for (const [name, value] of Object.entries(updates)) {
+    await pool.query(
+      `INSERT INTO app_settings (key, value, updated_by, updated_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (key) DO UPDATE SET value = $2, updated_by = $3, updated_at = NOW()`,
+      [SETTING_DEFINITIONS[name].key, JSON.stringify(value), updatedBy]
+    );
+  }
+  return getAllSettings(pool);
+}
+
+module.exports = {
+  SETTING_DEFINITIONS,
+  getSetting,
+  getAllSettings,
+  validateSettingsUpdate,
+  updateSettings
+};
@@ -0,0 +1,182 @@
+/**
+ * TOTP two-factor authentication service
+ *
+ * TOTP secrets are encrypted at rest with AES-256-GCM using a key derived
+ * from TOTP_ENCRYPTION_KEY (falls back to JWT_SECRET). Recovery codes are
+ * single-use and only their hashes are stored.
+ */
+
+const crypto = require('crypto');
+const { generateTotpSecret, verifyTotp, buildOtpauthUrl } = require('../utils/totp');
+const { hashToken } = require('../utils/tokens');
+const { withTransaction } = require('../utils/database');
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Derive the secret encryption key
+ */
+function getEncryptionKey() {
+  const keyMaterial = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  return crypto.createHash('sha256').update(keyMaterial).digest();
+}
+
+/**
+ * Encrypt a TOTP secret as "iv.authTag.ciphertext" (base64url parts)
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+}
+
+/**
+ * Decrypt a value produced by encryptSecret()
+ */
+function decryptSecret(encrypted) {
+  const [iv, authTag, ciphertext] = encrypted.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Normalize a recovery code so dashes and case don't matter
+ */
+function normalizeRecoveryCode(code) {
+  return String(code).replace(/[\s-]/g, '').toLowerCase();
+}
+
+/**
+ * Generate a set of human-friendly recovery codes (e.g. "a1b2c-3d4e5")
+ */
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+}
+
+/**
+ * Accept a TOTP code for a user, rejecting codes from already-used time steps
+ */
+async function acceptTotpCode(pool, userId, encryptedSecret, code) {
+  const step = verifyTotp(decryptSecret(encryptedSecret), code);
+  if (step === null) return false;
+
+  // Record the step atomically so the same code can't be replayed
+  const result = await pool.query(
+    `UPDATE users SET totp_last_used_step = $2
+     WHERE id = $1 AND (totp_last_used_step IS NULL OR totp_last_used_step < $2)`,
+    [userId, step]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Start enrollment by generating a new (not yet active) secret
+ * @returns {Promise<{secret: string, otpauthUrl: string}>}
+ */
+async function beginEnrollment(pool, user) {
+  const secret = generateTotpSecret();
+
+  await pool.query(
+    'UPDATE users SET totp_secret = $2, totp_enabled = FALSE, totp_last_used_step = NULL WHERE id = $1',
+    [user.id, encryptSecret(secret)]
+  );
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUrl(secret, user.email || user.username)
+  };
+}
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * @returns {Promise<string[]|null>} Plaintext recovery codes, or null if the code was wrong
+ */
+async function confirmEnrollment(pool, userId, code) {
+  const result = await pool.query(
+    'SELECT totp_secret, totp_enabled FROM users WHERE id = $1',
+    [userId]
+  );
+  const user = result.rows[0];
+  if (!user || !user.totp_secret || user.totp_enabled) return null;
+
+  if (!(await acceptTotpCode(pool, userId, user.totp_secret, code))) {
+    return null;
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  await withTransaction(pool, async (client) => {
+    await client.query('UPDATE users SET totp_enabled = TRUE, totp_enabled_at = NOW() WHERE id = $1', [userId]);
+    await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+    for (const recoveryCode of recoveryCodes) {
+      await client.query(
+        'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+        [userId, hashToken(normalizeRecoveryCode(recoveryCode))]
+      );
+    }
+  });
+
+  return recoveryCodes;
+}
+
+/**
+ * Verify a second factor: either a TOTP code or an unused recovery code
+ * @param {{code?: string, recoveryCode?: string}} factor
+ */
+async function verifySecondFactor(pool, userId, { code, recoveryCode }) {
+  if (typeof recoveryCode === 'string' && recoveryCode.length > 0 && recoveryCode.length <= 32) {
+    const result = await pool.query(
+      `UPDATE user_recovery_codes SET used_at = NOW()
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL`,
+      [userId, hashToken(normalizeRecoveryCode(recoveryCode))]
+    );
+    return result.rowCount > 0;
+  }
+
+  const result = await pool.query(
+    'SELECT totp_secret, totp_enabled FROM users WHERE id = $1',
+    [userId]
+  );
+  const user = result.rows[0];
+  if (!user || !user.totp_enabled || !user.totp_secret) return false;
+
+  return acceptTotpCode(pool, userId, user.totp_secret, code);
+}
+
+/**
+ * Turn off two-factor authentication and discard recovery codes
+ */
+async function disableTwoFactor(pool, userId) {
+  await pool.query(
+    `UPDATE users
+     SET totp_enabled = FALSE, totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL
+     WHERE id = $1`,
+    [userId]
+  );
+  await pool.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+}
+
+/**
+ * Count a user's unused recovery codes
+ */
+async function countRemainingRecoveryCodes(pool, userId) {
+  const result = await pool.query(
+    'SELECT COUNT(*)::int AS count FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  return result.rows[0].count;
+}
+
+module.exports = {
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  disableTwoFactor,
+  countRemainingRecoveryCodes
+};
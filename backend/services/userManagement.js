@@ -0,0 +1,229 @@
+/**
+ * Admin user management: listing, suspension, soft deletion
+ *
+ * Suspended and deleted users are refused by the auth middleware and at
+ * sign-in. Suspending or deleting also signs the user out everywhere.
+ * Admins must have their admin rights revoked (services/roles.js) before
+ * they can be suspended or deleted.
+ */
+
+const { revokeAllUserSessions } = require('./sessions');
+
+const MAX_SUSPENSION_REASON_LENGTH = 500;
+const USER_STATUSES = ['active', 'pending', 'rejected', 'suspended', 'deleted'];
+
+const SUSPENDED = 'suspended_at IS NOT NULL AND (suspended_until IS NULL OR suspended_until > NOW())';
+
+// Users who can sign in and use the app
+const ACTIVE = `deleted_at IS NULL AND is_approved = TRUE AND NOT (${SUSPENDED})`;
+
+const STATUS_CONDITIONS = {
+  active: ACTIVE,
+  pending: 'deleted_at IS NULL AND is_approved = FALSE AND rejected_at IS NULL',
+  rejected: 'deleted_at IS NULL AND is_approved = FALSE AND rejected_at IS NOT NULL',
+  suspended: `deleted_at IS NULL AND ${SUSPENDED}`,
+  deleted: 'deleted_at IS NOT NULL'
+};
+
+const USER_COLUMNS = `id, email, username, auth_provider, twitter_handle, github_handle, is_approved, is_admin,
+  email_verified, created_at, rejected_at, suspended_at, suspended_until, suspension_reason, deleted_at,
+  (${SUSPENDED}) AS is_suspended,
+  ARRAY(SELECT role FROM user_roles WHERE user_id = users.id ORDER BY role) AS roles`;
+
+/**
+ * Why a user may not use their account right now
+ * @param {Object} client - Pool or transaction client
+ * @returns {Promise<{state: 'deleted'}|{state: 'suspended', suspendedUntil: Date|null, reason: string|null}|null>}
+ *   null if the account is usable
+ */
+async function getAccountRestriction(client, userId) {
+  const result = await client.query(
+    `SELECT deleted_at, suspended_until, suspension_reason, (${SUSPENDED}) AS is_suspended
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+  const user = result.rows[0];
+  if (!user || user.deleted_at) {
+    return { state: 'deleted' };
+  }
+  if (user.is_suspended) {
+    return { state: 'suspended', suspendedUntil: user.suspended_until, reason: user.suspension_reason };
+  }
+  return null;
+}
+
+/**
+ * Escape LIKE wildcards in user input
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Search and filter users, newest first
+ * @param {Object} options
+ * @param {string} [options.search] - Matches username, email, or Twitter/GitHub handle
+ * @param {string} [options.status] - One of USER_STATUSES; deleted users are excluded otherwise
+ * @param {string} [options.role] - A role from services/roles.js, or 'none' for users without one
+ * @param {string} [options.provider] - auth_provider
+ * @param {number} options.limit
+ * @param {number} [options.before] - user ID cursor
+ */
+async function listUsers(pool, { search, status, role, provider, limit, before }) {
+  const conditions = [status ? STATUS_CONDITIONS[status] : 'deleted_at IS NULL'];
+  const params = [];
+
+  if (search) {
+    params.push(`%${escapeLike(search.replace(/^@/, ''))}%`);
+    const p = `$${params.length}`;
+    conditions.push(`(username ILIKE ${p} OR email ILIKE ${p} OR twitter_handle ILIKE ${p} OR github_handle ILIKE ${p})`);
+  }
+  if (role === 'none') {
+    conditions.push('NOT EXISTS (SELECT 1 FROM user_roles WHERE user_id = users.id)');
+  } else if (role) {
+    params.push(role);
+    conditions.push(`EXISTS (SELECT 1 FROM user_roles WHERE user_id = users.id AND role = $${params.length})`);
+  }
+  if (provider) {
+    params.push(provider);
+    conditions.push(`auth_provider = $${params.length}`);
+  }
+  if (before) {
+    params.push(before);
+    conditions.push(`id < $${params.length}`);
+  }
+
+  params.push(limit);
+  const result = await pool.query(
+    `SELECT ${USER_COLUMNS} FROM users
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Fetch one user with the columns listUsers returns
+ */
+async function getManagedUser(client, userId) {
+  const result = await client.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [userId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Validate a suspension request
+ * @param {{until?: string|null, reason?: string}} body
+ * @returns {{suspension?: {until: Date|null, reason: string|null}, error?: string}}
+ */
+function parseSuspension(body) {
+  const { until, reason } = body || {};
+
+  let suspendedUntil = null;
+  if (until !== undefined && until !== null) {
+    suspendedUntil = typeof until === 'string' ? new Date(until) : new Date(NaN);
+    if (Number.isNaN(suspendedUntil.getTime())) {
+      return { error: 'Invalid suspension expiry' };
+    }
+    if (suspendedUntil.getTime() <= Date.now()) {
+      return { error: 'Suspension expiry must be in the future' };
+    }
+  }
+
+  if (reason !== undefined && reason !== null) {
+    if (typeof reason !== 'string' || reason.length > MAX_SUSPENSION_REASON_LENGTH) {
+      return { error: `Reason must be at most ${MAX_SUSPENSION_REASON_LENGTH} characters` };
+    }
+  }
+
+  return { suspension: { until: suspendedUntil, reason: reason?.trim() || null } };
+}
+
+/**
+ * Suspend a user until a given time (or indefinitely) and sign them out
+ * @returns {Promise<{user?: Object, previousUser?: Object, error?: string, notFound?: boolean}>}
+ */
+async function suspendUser(pool, { userId, until, reason, adminId }) {
+  if (userId === adminId) {
+    return { error: 'You cannot suspend yourself' };
+  }
+
+  const user = await getManagedUser(pool, userId);
+  if (!user || user.deleted_at) {
+    return { notFound: true };
+  }
+  if (user.is_admin) {
+    return { error: 'Revoke admin rights before suspending an admin' };
+  }
+
+  await pool.query(
+    `UPDATE users
+     SET suspended_at = NOW(), suspended_until = $2::timestamptz, suspension_reason = $3, suspended_by = $4
+     WHERE id = $1`,
+    [userId, until, reason, adminId]
+  );
+  await revokeAllUserSessions(pool, userId, 'suspended');
+
+  return { user: await getManagedUser(pool, userId), previousUser: user };
+}
+
+/**
+ * Lift a user's suspension
+ * @returns {Promise<{user?: Object, previousUser?: Object, notFound?: boolean}>}
+ */
+async function unsuspendUser(pool, userId) {
+  const previousUser = await getManagedUser(pool, userId);
+  const result = await pool.query(
+    `UPDATE users
+     SET suspended_at = NULL, suspended_until = NULL, suspension_reason = NULL, suspended_by = NULL
+     WHERE id = $1 AND deleted_at IS NULL`,
+    [userId]
+  );
+  if (result.rowCount === 0) {
+    return { notFound: true };
+  }
+  return { user: await getManagedUser(pool, userId), previousUser };
+}
+
+/**
+ * Soft-delete a user: keep the row, sign them out and stop them beaconing
+ * @returns {Promise<{user?: Object, previousUser?: Object, error?: string, notFound?: boolean}>}
+ */
+async function softDeleteUser(pool, { userId, adminId }) {
+  if (userId === adminId) {
+    return { error: 'You cannot delete yourself' };
+  }
+
+  const user = await getManagedUser(pool, userId);
+  if (!user || user.deleted_at) {
+    return { notFound: true };
+  }
+  if (user.is_admin) {
+    return { error: 'Revoke admin rights before deleting an admin' };
+  }
+
+  await pool.query(
+    `UPDATE users
+     SET deleted_at = NOW(), deleted_by = $2, is_current_beacon = FALSE
+     WHERE id = $1`,
+    [userId, adminId]
+  );
+  await pool.query('DELETE FROM user_roles WHERE user_id = $1', [userId]);
+  await pool.query('DELETE FROM device_tokens WHERE user_id = $1', [userId]);
+  await revokeAllUserSessions(pool, userId, 'deleted');
+
+  return { user: await getManagedUser(pool, userId), previousUser: user };
+}
+
+module.exports = {
+  USER_STATUSES,
+  ACTIVE,
+  getAccountRestriction,
+  listUsers,
+  getManagedUser,
+  parseSuspension,
+  suspendUser,
+  unsuspendUser,
+  softDeleteUser
+};
@@ -0,0 +1,228 @@
+/**
+ * Versioned schema migrations
+ *
+ * Migrations are files in backend/migrations named NNNN_description.js that
+ * export `up(client)` and optionally `down(client)`. Each runs in its own
+ * transaction and is recorded in schema_migrations with a checksum of its
+ * source, so edits to already-applied migrations are detected.
+ *
+ * Runs hold a Postgres advisory lock, so when several instances start at
+ * once only one applies migrations and the others wait for it.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.js$/;
+const MIGRATION_LOCK_ID = 4107206; // Arbitrary, but must be the same for every instance
+
+/**
+ * Load migration files in version order
+ * @returns {Array<{version: string, name: string, checksum: string, filePath: string}>}
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .sort()
+    .map(file => {
+      const filePath = path.join(dir, file);
+      // Normalize line endings so checkouts on different platforms agree
+      const source = fs.readFileSync(filePath, 'utf8').replace(/\r\n/g, '\n');
+      return {
+        version: file.match(MIGRATION_FILE_PATTERN)[1],
+        name: file.replace(/\.js$/, ''),
+        checksum: crypto.createHash('sha256').update(source).digest('hex'),
+        filePath
+      };
+    });
+
+  const seen = new Set();
+  for (const migration of migrations) {
+    if (seen.has(migration.version)) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+    seen.add(migration.version);
+  }
+  return migrations;
+}
+
+/**
+ * Create the migration history table
+ */
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      execution_ms INTEGER
+    )
+  `);
+}
+
+/**
+ * Compare migration files with the history table
+ * @returns {Promise<{applied: Object[], pending: Object[], changed: Object[], missing: Object[]}>}
+ *   changed: applied migrations whose file no longer matches the recorded checksum
+ *   missing: applied migrations with no file
+ */
+async function getMigrationStatus(client, dir = MIGRATIONS_DIR) {
+  const migrations = loadMigrations(dir);
+
+  const tableResult = await client.query("SELECT to_regclass('schema_migrations') IS NOT NULL AS exists");
+  const appliedRows = tableResult.rows[0].exists
+    ? (await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version')).rows
+    : [];
+  const appliedByVersion = new Map(appliedRows.map(row => [row.version, row]));
+  const versions = new Set(migrations.map(migration => migration.version));
+
+  return {
+    applied: migrations
+      .filter(migration => appliedByVersion.has(migration.version))
+      .map(migration => ({ ...migration, appliedAt: appliedByVersion.get(migration.version).applied_at })),
+    pending: migrations.filter(migration => !appliedByVersion.has(migration.version)),
+    changed: migrations.filter(migration => {
+      const row = appliedByVersion.get(migration.version);
+      return row && row.checksum !== migration.checksum;
+    }),
+    missing: appliedRows.filter(row => !versions.has(row.version))
+  };
+}
+
+/**
+ * Run a callback on a dedicated connection holding the migration lock
+ */
+async function withMigrationLock(pool, callback) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    try {
+      return await callback(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Refuse to run against a history that doesn't match the files on disk
+ */
+function assertHistoryMatches(status) {
+  if (status.changed.length > 0) {
+    throw new Error(`Applied migrations have been modified: ${status.changed.map(m => m.name).join(', ')}`);
+  }
+  if (status.missing.length > 0) {
+    throw new Error(`Applied migrations are missing from disk: ${status.missing.map(m => m.name).join(', ')}`);
+  }
+}
+
+/**
+ * Apply all pending migrations
+ * @returns {Promise<string[]>} Names of the migrations applied
+ */
+async function migrateUp(pool, { dir = MIGRATIONS_DIR, log = console.log } = {}) {
+  return withMigrationLock(pool, async (client) => {
+    await ensureMigrationsTable(client);
+    // Read status only after taking the lock, so migrations another instance just applied are skipped
+    const status = await getMigrationStatus(client, dir);
+    assertHistoryMatches(status);
+
+    const applied = [];
+    for (const migration of status.pending) {
+      const { up } = require(migration.filePath);
+      const startedAt = Date.now();
+
+      await client.query('BEGIN');
+      try {
+        await up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+          [migration.version, migration.name, migration.checksum, Date.now() - startedAt]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.name} failed: ${error.message}`);
+      }
+
+      log(`Applied migration ${migration.name} (${Date.now() - startedAt}ms)`);
+      applied.push(migration.name);
+    }
+    return applied;
+  });
+}
+
+/**
+ * Roll back the most recently applied migrations
+ * @returns {Promise<string[]>} Names of the migrations rolled back
+ */
+async function migrateDown(pool, { steps = 1, dir = MIGRATIONS_DIR, log = console.log } = {}) {
+  return withMigrationLock(pool, async (client) => {
+    await ensureMigrationsTable(client);
+    const status = await getMigrationStatus(client, dir);
+    assertHistoryMatches(status);
+
+    const toRollBack = status.applied.slice(-steps).reverse();
+    for (const migration of toRollBack) {
+      if (typeof require(migration.filePath).down !== 'function') {
+        throw new Error(`Migration ${migration.name} cannot be rolled back`);
+      }
+    }
+
+    const rolledBack = [];
+    for (const migration of toRollBack) {
+      const { down } = require(migration.filePath);
+      const startedAt = Date.now();
+
+      await client.query('BEGIN');
+      try {
+        await down(client);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Rollback of ${migration.name} failed: ${error.message}`);
+      }
+
+      log(`Rolled back migration ${migration.name} (${Date.now() - startedAt}ms)`);
+      rolledBack.push(migration.name);
+    }
+    return rolledBack;
+  });
+}
+
+/**
+ * Make sure the schema is current before the server starts
+ * Applies pending migrations when autoApply is set; otherwise throws if any are pending.
+ */
+async function prepareDatabase(pool, { autoApply = false } = {}) {
+  if (autoApply) {
+    const applied = await migrateUp(pool);
+    console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database schema is up to date');
+    return;
+  }
+
+  const status = await getMigrationStatus(pool);
+  assertHistoryMatches(status);
+  if (status.pending.length > 0) {
+    throw new Error(
+      `Pending migrations: ${status.pending.map(m => m.name).join(', ')}. ` +
+      'Run "npm run migrate" or set AUTO_MIGRATE=true.'
+    );
+  }
+  console.log('Database schema is up to date');
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  prepareDatabase
+};
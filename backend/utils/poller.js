@@ -0,0 +1,59 @@
+/**
+ * Background polling loop
+ *
+ * Runs a task every intervalMs, never overlapping with itself. wake() runs
+ * it right away (e.g. after queueing work that is already due). stop()
+ * returns a promise that resolves once a run in progress has finished.
+ */
+
+/**
+ * @param {function(function(): boolean): Promise<void>} task - Gets isStopped(), to end a long run early
+ * @param {Object} options
+ * @param {number} options.intervalMs
+ * @param {string} options.name - Used in error logs
+ * @returns {{start: Function, stop: Function, wake: Function}}
+ */
+function createPoller(task, { intervalMs, name }) {
+  let timer = null;
+  let running = null;
+  let stopped = true;
+
+  async function run() {
+    try {
+      await task(() => stopped);
+    } catch (error) {
+      console.error(`${name} error:`, error.message);
+    }
+  }
+
+  async function poll() {
+    if (running || stopped) return;
+    clearTimeout(timer);
+    running = run();
+    await running;
+    running = null;
+    if (!stopped) {
+      timer = setTimeout(poll, intervalMs);
+    }
+  }
+
+  return {
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      poll();
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      return running || Promise.resolve();
+    },
+    wake() {
+      if (!stopped && !running) {
+        setImmediate(poll);
+      }
+    }
+  };
+}
+
+module.exports = { createPoller };
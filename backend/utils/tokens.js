@@ -0,0 +1,37 @@
+/**
+ * Opaque token utilities
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Generate a random URL-safe token
+ */
+function generateOpaqueToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+/**
+ * Hash a high-entropy token for storage
+ * SHA-256 is sufficient here because tokens are random, not user-chosen
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Constant-time string comparison to prevent timing attacks
+ */
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+module.exports = {
+  generateOpaqueToken,
+  hashToken,
+  safeEqual
+};
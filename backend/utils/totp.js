@@ -0,0 +1,126 @@
+/**
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30s steps)
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+/**
+ * Encode a buffer as RFC 4648 base32 without padding
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, padding optional)
+ */
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random base32 TOTP secret (160 bits)
+ */
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Get the TOTP time step for a timestamp
+ */
+function getTimeStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+}
+
+/**
+ * Generate the code for a given time step
+ */
+function generateTotp(secret, step = getTimeStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** TOTP_DIGITS);
+  return String(binary).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Check a code against the current step and `window` steps either side
+ * @returns {number|null} The matching time step, or null if no match
+ */
+function verifyTotp(secret, code, window = 1) {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build an otpauth:// URL for authenticator app QR codes
+ */
+function buildOtpauthUrl(secret, accountName, issuer = 'Karass') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUrl
+};